@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+'use strict';
+
+const cli = require('../lib/cli');
+
+cli.run(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+}, err => {
+  process.stderr.write(`amqp-bus: ${err.message}\n`);
+  process.exitCode = 1;
+});
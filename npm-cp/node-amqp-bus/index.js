@@ -2,5 +2,17 @@
 
 const createClient = require('./lib/client');
 const createListener = require('./lib/listener');
+const createMemoryBroker = require('./lib/memory').createMemoryBroker;
+const createMetricsRegistry = require('./lib/metrics').createMetricsRegistry;
+const dedup = require('./lib/dedup');
+const createOutbox = require('./lib/outbox').createOutbox;
 
-module.exports = { createClient, createListener };
+module.exports = {
+  createClient,
+  createListener,
+  createMemoryBroker,
+  createMetricsRegistry,
+  createMemoryDedupStore: dedup.createMemoryStore,
+  createMongoDedupStore: dedup.createMongoStore,
+  createOutbox
+};
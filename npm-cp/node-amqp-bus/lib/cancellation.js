@@ -0,0 +1,76 @@
+'use strict';
+
+const EventEmitter = require('events');
+
+const TIMEOUT_CODE = 'ETIMEDOUT';
+
+/**
+ * Create a cancellation: its signal is given to a message handler, which can check
+ * `signal.aborted` or listen to its `abort` event to stop its own I/O.
+ *
+ * @returns {Object} the `signal`, and `cancel(reason)` to abort it once
+ */
+function createCancellation() {
+  const signal = Object.assign(Object.create(EventEmitter.prototype), {
+    aborted: false,
+    reason: null,
+    throwIfAborted
+  });
+  return { signal, cancel };
+
+  /**
+   * @param {Error} reason the reason of the cancellation
+   * @returns {void}
+   */
+  function cancel(reason) {
+    if (signal.aborted) return;
+    signal.aborted = true;
+    signal.reason = reason;
+    signal.emit('abort', reason);
+  }
+
+  /**
+   * @returns {void}
+   */
+  function throwIfAborted() {
+    if (signal.aborted) throw signal.reason;
+  }
+}
+
+/**
+ * @param {Number} timeout the timeout in ms
+ * @returns {Error} the error of a handler that did not finish in time, with the code 'ETIMEDOUT'
+ */
+function createTimeoutError(timeout) {
+  const err = new Error(`The handler did not finish within ${timeout}ms`);
+  err.code = TIMEOUT_CODE;
+  return err;
+}
+
+/**
+ * Reject with a timeout error, and cancel the operation, if it is not over in time.
+ *
+ * @param {Promise} operation the operation
+ * @param {Number} [timeout] the timeout in ms, none if falsy
+ * @param {Object} cancellation the cancellation of the operation
+ * @returns {Promise} the result of the operation
+ */
+function withTimeout(operation, timeout, cancellation) {
+  if (!timeout) return operation;
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      const err = createTimeoutError(timeout);
+      cancellation.cancel(err);
+      reject(err);
+    }, timeout);
+    operation.then(result => {
+      clearTimeout(timer);
+      resolve(result);
+    }, err => {
+      clearTimeout(timer);
+      reject(err);
+    });
+  });
+}
+
+module.exports = { createCancellation, createTimeoutError, withTimeout };
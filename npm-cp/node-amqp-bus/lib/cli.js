@@ -0,0 +1,394 @@
+'use strict';
+
+const co = require('co');
+const fs = require('fs');
+const envelope = require('./envelope');
+
+const DEFAULT_URL = 'amqp://localhost';
+const BOOLEAN_OPTIONS = ['confirm', 'json', 'help', 'dry-run'];
+const REPEATED_OPTIONS = ['header'];
+const GLOBAL_OPTIONS = ['url', 'help'];
+
+const USAGE = `Usage: amqp-bus [--url <url>] <command> [options]
+
+Commands:
+  publish <exchange> <routing-key> [file]  publish the JSON message of a file, or of stdin
+      --header <name=value>  add a header, can be repeated
+      --confirm              wait for the broker to confirm the message
+  tail <exchange> [pattern]  print the messages published on an existing exchange, default to
+                             all (#)
+      --count <n>            stop after n messages
+      --json                 print one JSON message per line
+  peek <queue>               print the first messages of a queue without consuming them
+      --count <n>            the number of messages, default to 10
+      --json                 print one JSON message per line
+  move <queue>               publish the dead-lettered or parked messages of a queue again on
+                             their origin exchange
+      --count <n>            the maximum number of messages moved
+      --routing-key <key>    only the messages first published with a routing key, or pattern
+      --origin-queue <queue> only the messages dead-lettered from a queue
+      --error <text>         only the messages whose handler error contains a text
+      --rate <n>             the maximum number of messages moved per second
+      --dry-run              print the messages that would be moved, without moving them
+      --json                 print one JSON message per line, with --dry-run
+
+The url defaults to the AMQP_URL environment variable, or to ${DEFAULT_URL}.
+`;
+
+const COMMANDS = {
+  publish: {
+    args: 2,
+    maxArgs: 3,
+    options: ['header', 'confirm'],
+    run: publish,
+    clientOptions: options => ({ confirm: options.confirm })
+  },
+  tail: { args: 1, maxArgs: 2, options: ['count', 'json'], run: tail },
+  peek: { args: 1, maxArgs: 1, options: ['count', 'json'], run: peek },
+  move: {
+    args: 1,
+    maxArgs: 1,
+    options: ['count', 'routing-key', 'origin-queue', 'error', 'rate', 'dry-run', 'json'],
+    run: move
+  }
+};
+
+/**
+ * Run the `amqp-bus` command line tool.
+ *
+ * @param {String[]} argv the command line arguments, without the node executable and script
+ * @param {Object} [io] the environment of the command, the process one by default
+ * @param {Object} [io.stdin] the readable stream of the message to publish
+ * @param {Object} [io.stdout] the writable stream of the output
+ * @param {Object} [io.stderr] the writable stream of the errors
+ * @param {Object} [io.env] the environment variables
+ * @param {Object} [io.signals] the emitter of the SIGINT signal stopping `tail`
+ * @param {Function} [io.createClient] creates the bus client from an url and its options
+ * @returns {Promise} the exit code: 0 on success, 1 on failure, 2 on a usage error
+ */
+function run(argv, io) {
+  io = Object.assign({
+    stdin: process.stdin,
+    stdout: process.stdout,
+    stderr: process.stderr,
+    env: process.env,
+    signals: process,
+    createClient: require('./client')
+  }, io);
+
+  return co(function* runCommand() {
+    let parsed;
+    try {
+      parsed = parseArgs(argv);
+    } catch (err) {
+      io.stderr.write(`amqp-bus: ${err.message}\n\n${USAGE}`);
+      return 2;
+    }
+    if (parsed.options.help) {
+      io.stdout.write(USAGE);
+      return 0;
+    }
+
+    const command = COMMANDS[parsed.command];
+    if (!command || parsed.args.length < command.args || parsed.args.length > command.maxArgs) {
+      io.stderr.write(parsed.command && !command ? `amqp-bus: unknown command ${parsed.command}\n\n${USAGE}` : USAGE);
+      return 2;
+    }
+    try {
+      parsed.options = checkOptions(parsed.options, command);
+    } catch (err) {
+      io.stderr.write(`amqp-bus: ${err.message}\n\n${USAGE}`);
+      return 2;
+    }
+
+    const url = parsed.options.url || io.env.AMQP_URL || DEFAULT_URL;
+    const clientOptions = command.clientOptions ? command.clientOptions(parsed.options) : {};
+    let client = null;
+    let code = 0;
+    try {
+      client = yield io.createClient(url, Object.assign({ appId: 'amqp-bus' }, clientOptions));
+      yield command.run(client, parsed.args, parsed.options, io);
+    } catch (err) {
+      io.stderr.write(`amqp-bus: ${err.message}\n`);
+      code = 1;
+    }
+    if (client) {
+      try {
+        yield client.close();
+      } catch (err) {
+        io.stderr.write(`amqp-bus: ${err.message}\n`);
+        code = 1;
+      }
+    }
+    return code;
+  });
+}
+
+/**
+ * Publish the JSON message of a file, or of stdin.
+ *
+ * @param {Object} client the bus client
+ * @param {String[]} args the exchange, the routing key and the optional file
+ * @param {Object} options the command options
+ * @param {Object} io the environment of the command
+ * @returns {void}
+ */
+function* publish(client, args, options, io) {
+  const text = yield args[2] ? readFile(args[2]) : readStream(io.stdin);
+  let message;
+  try {
+    message = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`The message is not a valid JSON: ${err.message}`);
+  }
+  const headers = {};
+  (options.header || []).forEach(header => {
+    const index = header.indexOf('=');
+    headers[header.slice(0, index)] = header.slice(index + 1);
+  });
+
+  yield Promise.resolve(client.publish(args[0], args[1], message, { headers }));
+  if (!options.confirm) yield client.whenWritable();
+  io.stdout.write(`Published to ${args[0]} with ${args[1]}\n`);
+}
+
+/**
+ * Print the messages published on an exchange, through a temporary exclusive queue, until the
+ * count is reached or the process is interrupted. The exchange is only checked: a mistyped name
+ * does not create it.
+ *
+ * @param {Object} client the bus client
+ * @param {String[]} args the exchange and the optional routing pattern
+ * @param {Object} options the command options
+ * @param {Object} io the environment of the command
+ * @returns {void}
+ */
+function* tail(client, args, options, io) {
+  const count = options.count;
+  const queue = `amqp-bus.tail.${envelope.generateId()}`;
+  let received = 0;
+  let stop;
+  const stopped = new Promise(resolve => { stop = resolve; });
+
+  yield checkExchange(client, args[0]);
+  yield client.assertTopology({
+    queues: { [queue]: { exclusive: true, autoDelete: true } },
+    bindings: [{ exchange: args[0], queue, routingKey: args[1] || '#' }]
+  });
+  yield client.consume(queue, (content, fields, properties) => {
+    if (count && received >= count) return;
+    received++;
+    io.stdout.write(formatMessage({ content, fields, properties }, options.json));
+    if (count && received >= count) stop();
+  });
+
+  io.signals.once('SIGINT', stop);
+  try {
+    yield stopped;
+  } finally {
+    io.signals.removeListener('SIGINT', stop);
+  }
+}
+
+/**
+ * Print the first messages of a queue without consuming them.
+ *
+ * @param {Object} client the bus client
+ * @param {String[]} args the queue
+ * @param {Object} options the command options
+ * @param {Object} io the environment of the command
+ * @returns {void}
+ */
+function* peek(client, args, options, io) {
+  const messages = yield client.peek(args[0], { count: options.count });
+  messages.forEach(message => io.stdout.write(formatMessage(message, options.json)));
+  if (!options.json) io.stdout.write(`${messages.length} message(s) in ${args[0]}\n`);
+}
+
+/**
+ * Publish the dead-lettered or parked messages of a queue again on their origin exchange, see
+ * `client.replayDeadLetters`.
+ *
+ * @param {Object} client the bus client
+ * @param {String[]} args the dead letter or parking queue
+ * @param {Object} options the command options
+ * @param {Object} io the environment of the command
+ * @returns {void}
+ */
+function* move(client, args, options, io) {
+  const filter = {};
+  if (options['routing-key'] !== undefined) filter.routingKey = options['routing-key'];
+  if (options['origin-queue'] !== undefined) filter.queue = options['origin-queue'];
+  if (options.error !== undefined) filter.error = options.error;
+  const result = yield client.replayDeadLetters(args[0], {
+    filter,
+    count: options.count,
+    rate: options.rate,
+    dryRun: options['dry-run']
+  });
+
+  if (!options['dry-run']) {
+    io.stdout.write(`Moved ${result.replayed} message(s) from ${args[0]}\n`);
+    return;
+  }
+  result.messages.forEach(message => io.stdout.write(formatMessage(message, options.json)));
+  if (!options.json) io.stdout.write(`${result.replayed} message(s) would be moved from ${args[0]}\n`);
+}
+
+/**
+ * Check the exchange exists on a temporary channel: the broker closes the channel when it does
+ * not.
+ *
+ * @param {Object} client the bus client
+ * @param {String} exchange the exchange
+ * @returns {void}
+ */
+function* checkExchange(client, exchange) {
+  const channel = yield client.connection.createChannel();
+  channel.on('error', () => null);
+  try {
+    yield channel.checkExchange(exchange);
+  } catch (err) {
+    throw new Error(err.code === 404 ? `The exchange ${exchange} does not exist` : err.message);
+  } finally {
+    yield Promise.resolve().then(() => channel.close()).catch(() => null);
+  }
+}
+
+/**
+ * @param {String[]} argv the command line arguments
+ * @returns {Object} the `command`, its positional `args` and its `options` by name
+ */
+function parseArgs(argv) {
+  const parsed = { command: undefined, args: [], options: {} };
+  for (let index = 0; index < argv.length; index++) {
+    const arg = argv[index];
+    if (arg.indexOf('--') !== 0) {
+      if (parsed.command === undefined) parsed.command = arg;
+      else parsed.args.push(arg);
+      continue;
+    }
+
+    const equal = arg.indexOf('=');
+    const name = arg.slice(2, equal === -1 ? undefined : equal);
+    let value = true;
+    if (equal !== -1) {
+      value = arg.slice(equal + 1);
+    } else if (BOOLEAN_OPTIONS.indexOf(name) === -1) {
+      if (index + 1 >= argv.length) throw new Error(`The option --${name} needs a value`);
+      value = argv[++index];
+    }
+    if (REPEATED_OPTIONS.indexOf(name) !== -1) parsed.options[name] = (parsed.options[name] || []).concat(value);
+    else parsed.options[name] = value;
+  }
+  return parsed;
+}
+
+/**
+ * Check the options of a command, and convert their values.
+ *
+ * @param {Object} options the options by name, as parsed
+ * @param {Object} command the command
+ * @returns {Object} the options, with the `count` and `rate` numbers
+ */
+function checkOptions(options, command) {
+  Object.keys(options).forEach(name => {
+    if (GLOBAL_OPTIONS.indexOf(name) === -1 && command.options.indexOf(name) === -1) {
+      throw new Error(`Unknown option --${name}`);
+    }
+    if (BOOLEAN_OPTIONS.indexOf(name) !== -1 && options[name] !== true) {
+      throw new Error(`The option --${name} takes no value`);
+    }
+  });
+  (options.header || []).forEach(header => {
+    if (header.indexOf('=') <= 0) throw new Error(`The header ${header} is not a name=value pair`);
+  });
+  return Object.assign({}, options, {
+    count: parseCount(options.count),
+    rate: options.rate === undefined ? undefined : parseRate(options.rate)
+  });
+}
+
+/**
+ * @param {String} [count] the count option
+ * @returns {Number|undefined} the count, undefined if there is none
+ */
+function parseCount(count) {
+  if (count === undefined) return undefined;
+  const value = Number(count);
+  if (!(value > 0) || Math.floor(value) !== value) throw new Error('The count must be a positive integer');
+  return value;
+}
+
+/**
+ * @param {String} rate the rate option
+ * @returns {Number} the rate, in messages per second
+ */
+function parseRate(rate) {
+  const value = Number(rate);
+  if (!(value > 0)) throw new Error('The rate must be a positive number');
+  return value;
+}
+
+/**
+ * @param {Object} message the message, with its decoded `content`, its `fields` and `properties`,
+ * and the `origin` and `error` of a dead letter
+ * @param {Boolean} [json] true for a JSON line
+ * @returns {String} the printable message
+ */
+function formatMessage(message, json) {
+  const content = Buffer.isBuffer(message.content) ? message.content.toString('base64') : message.content;
+  const properties = message.properties || {};
+  if (json) {
+    return `${JSON.stringify({
+      exchange: message.fields.exchange,
+      routingKey: message.fields.routingKey,
+      properties,
+      origin: message.origin,
+      error: message.error,
+      content
+    })}\n`;
+  }
+
+  const date = properties.timestamp ? new Date(properties.timestamp * 1000).toISOString() : '-';
+  const lines = [`[${date}] ${message.fields.exchange || '(default)'} ${message.fields.routingKey}`];
+  ['messageId', 'correlationId', 'appId', 'contentType', 'contentEncoding']
+    .filter(name => properties[name] !== undefined && properties[name] !== null)
+    .forEach(name => lines.push(`  ${name}: ${properties[name]}`));
+  if (properties.headers && Object.keys(properties.headers).length) {
+    lines.push(`  headers: ${JSON.stringify(properties.headers)}`);
+  }
+  if (message.fields.redelivered) lines.push('  redelivered: true');
+  if (message.origin) {
+    const origin = message.origin;
+    lines.push(`  origin: ${origin.exchange || '(default)'} ${origin.routingKey}${origin.queue ? ` from ${origin.queue}` : ''}`);
+  }
+  if (message.error !== undefined) lines.push(`  error: ${message.error}`);
+  lines.push(JSON.stringify(content, null, 2));
+  return `${lines.join('\n')}\n\n`;
+}
+
+/**
+ * @param {String} file the file path
+ * @returns {Promise} the content of the file
+ */
+function readFile(file) {
+  return new Promise((resolve, reject) => {
+    fs.readFile(file, 'utf8', (err, text) => (err ? reject(err) : resolve(text)));
+  });
+}
+
+/**
+ * @param {Object} stream a readable stream
+ * @returns {Promise} the content of the stream, once it ends
+ */
+function readStream(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk)));
+    stream.once('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    stream.once('error', reject);
+  });
+}
+
+module.exports = { run, parseArgs, formatMessage };
@@ -2,41 +2,457 @@
 'use strict';
 
 const EventEmitter = require('events');
+const stream = require('stream');
 const amqplib = require('amqplib');
 const co = require('co');
+const retry = require('./retry');
+const delays = require('./delay');
+const dedup = require('./dedup');
+const partition = require('./partition');
+const deadletter = require('./deadletter');
+const cancellation = require('./cancellation');
+const compat = require('./compat');
+const createRpc = require('./rpc').createRpc;
+const REPLY_QUEUE = require('./rpc').REPLY_QUEUE;
+const shutdownOnSignals = require('./shutdown').shutdownOnSignals;
+const schemas = require('./schemas');
+const codecs = require('./codecs');
+const declarative = require('./topology');
+const metrics = require('./metrics');
+const envelope = require('./envelope');
 
 const DEFAULT_EXCHANGE_TYPE = 'topic';
 const DEFAULT_HEARTBEAT = 10;
+const DEFAULT_CONFIRM_TIMEOUT = 10000;
+const DEFAULT_SHUTDOWN_TIMEOUT = 10000;
+const DEFAULT_STREAM_HIGH_WATER_MARK = 16;
+const DEFAULT_PEEK_COUNT = 10;
+const DEFAULT_SCAN_LIMIT = 1000;
+const DEFAULT_RECONNECT = {
+  initialDelay: 100,
+  maxDelay: 30000,
+  factor: 2
+};
+const MAIN_CHANNEL = 'main';
+const CHANNEL_MODES = ['shared', 'separate', 'per-queue'];
 
 /**
  * Return a bus client with helper methods to communicate with an amqp server.
  *
+ * When the connection is lost, the client reconnects with an exponential backoff, declares again
+ * the exchanges, queues and bindings created with `setupQueue` and restarts every consumer. When a
+ * channel is closed alone, for instance by a channel error, only this channel is opened again and
+ * its consumers restarted. The client emits the following events :
+ * - disconnected(err) : the connection was lost
+ * - reconnecting(attempt, delay) : a reconnection attempt will be made after `delay` ms
+ * - reconnected(attempt) : the client is connected again and its topology is restored
+ * - channel_closed(name, err) : a channel was closed while the connection was still open
+ * - channel_reopened(name, attempt) : the channel is open again and its consumers restarted
+ * - duplicate({ queue, key, message }) : a message already handled was acknowledged without being
+ *   handled again
+ * - drain : the main channel accepts messages again after `publish` returned false
+ *
+ * The client publishes and declares the topology on its main channel, `client.channel`. By default
+ * the consumers share it, the `channels` option gives them their own channels so that a channel
+ * error or a heavy publishing does not affect them.
+ *
+ * Every asynchronous method of the client returns a native Promise, which co generators can still
+ * yield.
+ *
  * @name  createClient.
  * @param {String} url : The url of your amqp server.
- * @param {Object} [options]
+ * @param {Object} [options] : various options
  * @param {Number} [options.heartbeat] : the heartbeat that you want to use.
+ * @param {Object|Boolean} [options.reconnect] : the reconnection backoff, `false` to disable it
+ * @param {Number} [options.reconnect.initialDelay] : delay before the first attempt, in ms
+ * @param {Number} [options.reconnect.maxDelay] : maximum delay between two attempts, in ms
+ * @param {Number} [options.reconnect.factor] : factor applied to the delay after each attempt
+ * @param {Object|Boolean} [options.confirm] : use a confirm channel, `publish` then returns a
+ * promise of the broker acknowledgement
+ * @param {Number} [options.confirm.timeout] : delay after which an unconfirmed publish is
+ * rejected, in ms
+ * @param {String} [options.appId] : the application name, set on every published message
+ * @param {String} [options.publishValidation] : what `publish` does with a message that does not
+ * match its schema: 'reject' throws (default), 'warn' emits `validation_error` and publishes it
+ * @param {Object|Boolean} [options.compression] : gzip the published messages from a size in
+ * bytes, `{ threshold }`, `true` for 1024 bytes
+ * @param {Number} [options.delayPrecision] : the precision of the delays of `publishDelayed`, in
+ * ms, default to 1000
+ * @param {String} [options.channels] : 'shared' (default) to consume on the main channel,
+ * 'separate' to consume on a second channel, 'per-queue' to consume on a channel per queue
+ * @param {Object} [options.metrics] : the metrics sink, see lib/metrics.js
+ * @param {Object} [options.transport] : the module opening the connection, amqplib by default, see
+ * lib/memory.js
+ * @returns {Object} the bus client
  */
 function* createClient(url, options) {
   options = options || {};
   options.heartbeat = options.heartbeat || DEFAULT_HEARTBEAT;
-  const connection = yield amqplib.connect(url, options);
-  const channel = yield connection.createChannel();
+  const transport = options.transport || amqplib;
+  const reconnectOptions = options.reconnect === false ? null :
+    Object.assign({}, DEFAULT_RECONNECT, options.reconnect);
+  const confirmOptions = options.confirm ?
+    Object.assign({ timeout: DEFAULT_CONFIRM_TIMEOUT }, options.confirm === true ? {} : options.confirm) :
+    null;
+
+  const publishValidation = options.publishValidation || 'reject';
+  const channelMode = options.channels || 'shared';
+  if (CHANNEL_MODES.indexOf(channelMode) === -1) {
+    throw new Error(`The channels option must be one of ${CHANNEL_MODES.join(', ')}`);
+  }
+
+  const topology = { exchanges: new Map(), queues: new Map(), bindings: new Map() };
+  const schemaRegistry = schemas.createSchemaRegistry();
+  const codecRegistry = codecs.createCodecRegistry({ compression: options.compression });
+  const sink = options.metrics || metrics.NOOP_SINK;
+  const consumers = [];
+  const unconfirmed = new Set();
+  const inFlight = new Set();
+  const inFlightByQueue = new Map();
+  const delayBuckets = new Map();
+  const partitionedQueues = new Map();
+  const channels = new Map();
+  const timers = new Set();
+  const pendingWrites = [];
+  const writableWaiters = [];
+  let blockedChannel = null;
+  let draining = false;
+  let closing = false;
+  let reconnecting = null;
 
   const busClient = Object.assign(Object.create(EventEmitter.prototype), {
-    channel,
-    connection,
-    setupQueue,
-    consume,
-    listen,
+    channel: null,
+    connection: null,
+    setupQueue: co.wrap(setupQueue),
+    setupPartitionedQueue: co.wrap(setupPartitionedQueue),
+    unbindQueue: co.wrap(unbindQueue),
+    assertTopology: co.wrap(assertTopology),
+    consume: co.wrap(consume),
+    consumePartitioned: co.wrap(consumePartitioned),
+    pause: co.wrap(pause),
+    resume: co.wrap(resume),
+    peek: co.wrap(peek),
+    listDeadLetters: co.wrap(listDeadLetters),
+    replayDeadLetters: co.wrap(replayDeadLetters),
+    moveParked: co.wrap(moveParked),
+    listen: co.wrap(listen),
     publish,
-    close: function* close() {
-      yield connection.close();
-      this.connection = null;
-      this.channel = null;
-    }
+    publishDelayed: co.wrap(publishDelayed),
+    publishAt: co.wrap(publishAt),
+    publishBatch: co.wrap(publishBatch),
+    createPublishStream,
+    whenWritable,
+    registerSchema: schemaRegistry.register,
+    registerCodec: codecRegistry.register,
+    decode: message => codecRegistry.decode(message.content, message.properties),
+    waitForConfirms,
+    shutdown: co.wrap(shutdown),
+    shutdownOnSignals: opts => shutdownOnSignals(busClient, opts),
+    close: co.wrap(close)
   });
+  const rpc = createRpc(busClient);
+  busClient.request = rpc.request;
+  busClient.serve = rpc.serve;
+  yield connect();
   return busClient;
 
+  /**
+   * Close the connection, once every pending publisher confirm is settled.
+   *
+   * @returns {void}
+   */
+  function* close() {
+    yield waitForConfirms();
+    closing = true;
+    timers.forEach(timer => timer.cancel());
+    const connection = busClient.connection;
+    busClient.connection = null;
+    busClient.channel = null;
+    channels.clear();
+    if (connection) yield connection.close();
+    resetWrites();
+    rejectUnconfirmed(new Error('The bus client was closed before the broker confirmed the message'));
+    rpc.rejectPending(new Error('The bus client was closed before the reply was received'));
+  }
+
+  /**
+   * Stop consuming, wait for the messages being handled to be acknowledged, then close.
+   * Messages received but not handled yet are requeued. After the timeout, the client is closed
+   * anyway and the broker redelivers the unacknowledged messages.
+   *
+   * @param {Object} [opts] : various options
+   * @param {Number} [opts.timeout] : maximum delay to wait for the handlers, in ms
+   * @returns {Boolean} true if every handler was over before the timeout
+   */
+  function* shutdown(opts) {
+    opts = opts || {};
+    const timeout = opts.timeout === undefined ? DEFAULT_SHUTDOWN_TIMEOUT : opts.timeout;
+    draining = true;
+
+    for (const consumer of consumers) {
+      yield cancelConsumer(consumer);
+    }
+
+    let timer;
+    const drained = yield Promise.race([
+      Promise.all([...inFlight].map(handling => handling.catch(() => null))).then(() => true),
+      new Promise(resolve => { timer = setTimeout(() => resolve(false), timeout); })
+    ]);
+    clearTimeout(timer);
+
+    yield close();
+    return drained;
+  }
+
+  /**
+   * Cancel a consumer so that the broker stops sending it messages.
+   *
+   * @param {Object} consumer : the consumer
+   * @returns {Promise} resolved once the consumer is cancelled, or if its channel is lost
+   */
+  function cancelConsumer(consumer) {
+    const slot = channels.get(consumer.channelName);
+    if (!consumer.consumerTag || !slot || consumer.channel !== slot.channel) return Promise.resolve();
+    return Promise.resolve()
+      .then(() => consumer.channel.cancel(consumer.consumerTag))
+      .catch(() => null);
+  }
+
+  /**
+   * Open a connection and its main channel, and watch the connection to reconnect when it is lost.
+   *
+   * @returns {void}
+   */
+  function* connect() {
+    const connection = yield transport.connect(url, options);
+    // without a listener, 'error' events would be thrown: 'close' follows them with the error
+    connection.on('error', () => null);
+    connection.on('close', err => handleDisconnect(connection, err));
+    busClient.connection = connection;
+    channels.clear();
+    busClient.channel = yield openChannel(MAIN_CHANNEL);
+    resetWrites();
+  }
+
+  /**
+   * Open a channel of the current connection, once per name, and watch it to reopen it when it is
+   * closed alone. The main channel is a confirm channel in confirm mode.
+   *
+   * @param {String} name : the channel name, see `consumerChannelName`
+   * @returns {Promise} the channel
+   */
+  function openChannel(name) {
+    const connection = busClient.connection;
+    if (!connection) return Promise.reject(new Error('The bus client is not connected'));
+    if (channels.has(name)) return channels.get(name).promise;
+
+    const slot = { channel: null, error: null };
+    const confirm = confirmOptions && name === MAIN_CHANNEL;
+    slot.promise = Promise.resolve()
+      .then(() => (confirm ? connection.createConfirmChannel() : connection.createChannel()))
+      .then(channel => {
+        channel.on('error', err => { slot.error = err; });
+        // a lost connection closes its channels first: let the connection report its own error
+        channel.on('close', () => setImmediate(() => handleChannelClose(connection, name, slot)));
+        slot.channel = channel;
+        return channel;
+      });
+    slot.promise.catch(() => {
+      if (channels.get(name) === slot) channels.delete(name);
+    });
+    channels.set(name, slot);
+    return slot.promise;
+  }
+
+  /**
+   * @param {String} queue : the consumed queue
+   * @returns {String} the name of the channel of its consumers, depending on the `channels` option
+   */
+  function consumerChannelName(queue) {
+    if (channelMode === 'per-queue') return `consume:${queue}`;
+    if (channelMode === 'separate') return 'consume';
+    return MAIN_CHANNEL;
+  }
+
+  /**
+   * Reopen a channel closed while its connection is still open. Without reconnection, the client
+   * is disconnected instead.
+   *
+   * @param {Object} connection : the connection of the channel
+   * @param {String} name : the channel name
+   * @param {Object} slot : the closed channel and the error that closed it
+   * @returns {void}
+   */
+  function handleChannelClose(connection, name, slot) {
+    if (closing || reconnecting || connection !== busClient.connection || channels.get(name) !== slot) return;
+    if (!reconnectOptions) {
+      handleDisconnect(connection, slot.error);
+      return;
+    }
+
+    channels.delete(name);
+    if (name === MAIN_CHANNEL) {
+      busClient.channel = null;
+      // amqplib never calls back the messages left unconfirmed on a closed channel
+      rejectUnconfirmed(new Error('The channel was closed before the broker confirmed the message'));
+      // direct replies are bound to the channel that sent the request, they will never arrive
+      rpc.rejectPending(new Error('The channel was closed before the reply was received'));
+    }
+    busClient.emit('channel_closed', name, slot.error);
+    co(reopenChannel(connection, name));
+  }
+
+  /**
+   * Try to reopen a channel and restart its consumers, waiting longer between each attempt, until
+   * it succeeds or the connection is lost.
+   *
+   * @param {Object} connection : the connection of the channel
+   * @param {String} name : the channel name
+   * @returns {void}
+   */
+  function* reopenChannel(connection, name) {
+    for (let attempt = 1; ; attempt++) {
+      yield wait(retry.backoff(reconnectOptions, attempt));
+      if (closing || reconnecting || connection !== busClient.connection) return;
+
+      try {
+        yield restartChannel(name);
+      } catch (err) {
+        const slot = channels.get(name);
+        channels.delete(name);
+        if (name === MAIN_CHANNEL) busClient.channel = null;
+        if (slot && slot.channel) closeQuietly(slot.channel);
+        continue;
+      }
+
+      sink.increment(metrics.METRICS.channelReopens.name, { channel: name });
+      busClient.emit('channel_reopened', name, attempt);
+      return;
+    }
+  }
+
+  /**
+   * Forget the lost connection and start reconnecting, unless the client is being closed or is
+   * already reconnecting.
+   *
+   * @param {Object} connection : the connection that was lost, or whose channel was lost
+   * @param {Error} [err] : the error that caused the loss
+   * @returns {void}
+   */
+  function handleDisconnect(connection, err) {
+    if (closing || reconnecting || connection !== busClient.connection) return;
+    busClient.connection = null;
+    busClient.channel = null;
+    channels.clear();
+    // the connection may be left open when reconnection is disabled and a channel is closed alone
+    closeQuietly(connection);
+    // amqplib never calls back the messages left unconfirmed on a closed channel
+    rejectUnconfirmed(new Error('The channel was closed before the broker confirmed the message'));
+    busClient.emit('disconnected', err);
+
+    if (!reconnectOptions) return;
+    reconnecting = co(reconnect).then(() => { reconnecting = null; });
+  }
+
+  /**
+   * Try to reconnect until it succeeds or the client is closed, waiting longer between each
+   * attempt.
+   *
+   * @returns {void}
+   */
+  function* reconnect() {
+    for (let attempt = 1; ; attempt++) {
+      const delay = retry.backoff(reconnectOptions, attempt);
+      busClient.emit('reconnecting', attempt, delay);
+      yield wait(delay);
+      if (closing) return;
+
+      try {
+        yield connect();
+        yield restoreTopology();
+      } catch (err) {
+        const connection = busClient.connection;
+        busClient.connection = null;
+        busClient.channel = null;
+        channels.clear();
+        if (connection) closeQuietly(connection);
+        continue;
+      }
+
+      if (closing) {
+        closeQuietly(busClient.connection);
+        return;
+      }
+      sink.increment(metrics.METRICS.reconnects.name, {});
+      busClient.emit('reconnected', attempt);
+      return;
+    }
+  }
+
+  /**
+   * Open a channel again and restart its consumers.
+   *
+   * @param {String} name : the channel name
+   * @returns {void}
+   */
+  function* restartChannel(name) {
+    const channel = yield openChannel(name);
+    if (name === MAIN_CHANNEL) {
+      busClient.channel = channel;
+      resetWrites();
+    }
+    if (draining) return;
+    for (const consumer of consumers.filter(item => item.channelName === name && !item.paused)) {
+      yield startConsumer(consumer);
+    }
+  }
+
+  /**
+   * Wait before the next reconnection attempt, or the next replayed message, the wait is cut short
+   * when the client is closed.
+   *
+   * @param {Number} delay : the delay in ms
+   * @returns {Promise} resolved after the delay
+   */
+  function wait(delay) {
+    return new Promise(resolve => {
+      const timer = {
+        cancel() {
+          clearTimeout(timer.timeout);
+          timers.delete(timer);
+          resolve();
+        }
+      };
+      timer.timeout = setTimeout(timer.cancel, delay);
+      timers.add(timer);
+    });
+  }
+
+  /**
+   * Declare again the exchanges, queues and bindings, then restart the consumers.
+   *
+   * @returns {void}
+   */
+  function* restoreTopology() {
+    for (const exchange of topology.exchanges.entries()) {
+      yield busClient.channel.assertExchange(exchange[0], exchange[1].type, exchange[1].options);
+    }
+    for (const queue of topology.queues.entries()) {
+      yield busClient.channel.assertQueue(queue[0], queue[1]);
+    }
+    for (const binding of topology.bindings.values()) {
+      if (binding.destination) {
+        yield busClient.channel.bindExchange(binding.destination, binding.exchange, binding.rootingKey);
+      } else {
+        yield busClient.channel.bindQueue(binding.queue, binding.exchange, binding.rootingKey, binding.args);
+      }
+    }
+    if (draining) return;
+    for (const consumer of consumers.filter(item => !item.paused)) {
+      yield startConsumer(consumer);
+    }
+  }
+
   /**
    * Check that exchange and queue are created and bind exchange to queue with rooting key.
    *
@@ -49,47 +465,639 @@ function* createClient(url, options) {
    * 'topic'
    * @param {Object} [opts.queueOptions] : options that you want to pass to your queue when
    * creating it.
+   * @returns {void}
    */
   function* setupQueue(exchange, queue, rootingKey, opts) {
+    if (!busClient.channel) throw new Error('The bus client is not connected');
     opts = opts || {};
-    yield busClient.channel.assertExchange(exchange, opts.exchangeType || DEFAULT_EXCHANGE_TYPE);
-    yield busClient.channel.assertQueue(queue, opts.queueOptions || {});
+    const exchangeType = opts.exchangeType || DEFAULT_EXCHANGE_TYPE;
+    const queueOptions = opts.queueOptions || {};
+    yield busClient.channel.assertExchange(exchange, exchangeType);
+    yield busClient.channel.assertQueue(queue, queueOptions);
     yield busClient.channel.bindQueue(queue, exchange, rootingKey);
+
+    topology.exchanges.set(exchange, { type: exchangeType });
+    topology.queues.set(queue, queueOptions);
+    topology.bindings.set(JSON.stringify([queue, exchange, rootingKey]), { queue, exchange, rootingKey });
+  }
+
+  /**
+   * Check that the exchange and the partitions of a queue are created, and bind the exchange to
+   * the partitions with the rooting key, see lib/partition.js. A message published with a
+   * `partitionKey` goes to the partition of its key, where the messages of a key are handled by a
+   * single consumer, in order. Every publisher and consumer of the queue must use the same number
+   * of partitions.
+   *
+   * @name  setupPartitionedQueue
+   * @param {String} exchange : the name of the exchange on which you want to connect.
+   * @param {String} queue : the name of the partitioned queue, prefix of its partitions
+   * @param {String} rootingKey : the rooting that you want to bind.
+   * @param {Object} opts : the options of `setupQueue`
+   * @param {Number} opts.partitions : the number of partitions
+   * @returns {void}
+   */
+  function* setupPartitionedQueue(exchange, queue, rootingKey, opts) {
+    if (!busClient.channel) throw new Error('The bus client is not connected');
+    opts = opts || {};
+    partition.assertPartitions(opts.partitions);
+    const exchangeType = opts.exchangeType || DEFAULT_EXCHANGE_TYPE;
+    const partitionExchange = partition.exchangeName(queue);
+    const queueOptions = partition.queueOptions(opts.queueOptions);
+    yield busClient.channel.assertExchange(exchange, exchangeType);
+    yield busClient.channel.assertExchange(partitionExchange, 'headers');
+    topology.exchanges.set(exchange, { type: exchangeType });
+    topology.exchanges.set(partitionExchange, { type: 'headers' });
+
+    for (let index = 0; index < opts.partitions; index++) {
+      const name = partition.queueName(queue, index);
+      const args = partition.bindingArguments(index);
+      yield busClient.channel.assertQueue(name, queueOptions);
+      yield busClient.channel.bindQueue(name, partitionExchange, '', args);
+      topology.queues.set(name, queueOptions);
+      topology.bindings.set(JSON.stringify([name, partitionExchange, '']),
+        { queue: name, exchange: partitionExchange, rootingKey: '', args });
+    }
+
+    yield busClient.channel.bindExchange(partitionExchange, exchange, rootingKey);
+    topology.bindings.set(JSON.stringify(['exchange', partitionExchange, exchange, rootingKey]),
+      { destination: partitionExchange, exchange, rootingKey });
+    partitionedQueues.set(queue, opts.partitions);
+  }
+
+  /**
+   * Remove the binding of a queue to an exchange with a rooting key. The binding is no longer
+   * restored after a reconnection.
+   *
+   * @name  unbindQueue
+   * @param {String} exchange : the exchange name
+   * @param {String} queue : the queue name, or the name of a partitioned queue
+   * @param {String} rootingKey : the rooting key of the binding
+   * @returns {void}
+   */
+  function* unbindQueue(exchange, queue, rootingKey) {
+    if (!busClient.channel) throw new Error('The bus client is not connected');
+    if (partitionedQueues.has(queue)) {
+      const partitionExchange = partition.exchangeName(queue);
+      yield busClient.channel.unbindExchange(partitionExchange, exchange, rootingKey);
+      topology.bindings.delete(JSON.stringify(['exchange', partitionExchange, exchange, rootingKey]));
+      return;
+    }
+    yield busClient.channel.unbindQueue(queue, exchange, rootingKey);
+    topology.bindings.delete(JSON.stringify([queue, exchange, rootingKey]));
+  }
+
+  /**
+   * Declare a whole topology at once: exchanges, queues, bindings and exchange to exchange
+   * bindings, see lib/topology.js for the definition format. Declarations are idempotent and
+   * restored after a reconnection. A declaration that differs from the existing one fails with a
+   * PRECONDITION_FAILED error, and closes the main channel.
+   *
+   * @name  assertTopology
+   * @param {Object} definition : the topology definition
+   * @param {Object} [opts] : various options
+   * @param {Boolean} [opts.dryRun] : declare nothing, only compare the definition with the broker
+   * @returns {Object[]|void} in dry run mode, the differences with the broker, see lib/topology.js
+   */
+  function* assertTopology(definition, opts) {
+    opts = opts || {};
+    const normalized = declarative.normalize(definition);
+    if (!busClient.channel) throw new Error('The bus client is not connected');
+    if (opts.dryRun) return yield declarative.diff(busClient.connection, normalized);
+
+    yield declarative.assert(busClient.channel, normalized);
+    normalized.exchanges.forEach(exchange => {
+      topology.exchanges.set(exchange.name, { type: exchange.type, options: exchange.options });
+    });
+    normalized.queues.forEach(queue => topology.queues.set(queue.name, queue.options));
+    normalized.bindings.forEach(binding => {
+      const rootingKey = binding.routingKey;
+      if (binding.destination) {
+        const key = JSON.stringify(['exchange', binding.destination, binding.exchange, rootingKey]);
+        topology.bindings.set(key, { destination: binding.destination, exchange: binding.exchange, rootingKey });
+      } else {
+        const key = JSON.stringify([binding.queue, binding.exchange, rootingKey]);
+        topology.bindings.set(key, { queue: binding.queue, exchange: binding.exchange, rootingKey });
+      }
+    });
+    return undefined;
   }
 
   /**
    * Pass message content from messages received on queue to handler.
    * Acknowledge message if handling is succesfull.
-   * Requeue message if handling throws an error.
+   * Requeue message if handling throws an error, or follow the retry policy if there is one.
+   * The consumer is restarted after a reconnection.
    *
    * @name  consume
    * @param {String} queue : the queue name
-   * @param {Function} handler : should be yieldable,
-   * will be called with message.content and message.fields.
+   * @param {Function} handler : an async function, a function returning a promise or a generator
+   * function, see lib/compat.js. It will be called with message.content, message.fields, message.properties and a cancellation
+   * signal, aborted when the handler times out.
    * It should wrap its logic within a try...catch to treat errors that are thrown
-   * and should only throw error when the message needs to be requeued.
+   * and should only throw error when the message needs to be retried.
+   * @param {Object} [opts] : various options
+   * @param {Object|Boolean} [opts.retry] : the retry policy, see lib/retry.js. A failed message is
+   * delayed in a retry queue, then parked in `<queue>.parking` after `maxAttempts` attempts.
+   * @param {Number} [opts.prefetch] : maximum number of unacknowledged messages sent by the broker
+   * to this consumer, default to `opts.concurrency`
+   * @param {Number} [opts.concurrency] : maximum number of messages handled at the same time,
+   * default to `opts.prefetch`
+   * @param {Object|Boolean} [opts.dedup] : the deduplication policy, see lib/dedup.js. The key of
+   * a handled message is kept in a store for a retention window, and a message with a kept key is
+   * acknowledged without calling the handler again.
+   * @param {Number} [opts.timeout] : delay after which a handler that is not over fails, in ms. Its
+   * cancellation signal is aborted, and the message follows the retry policy or is requeued.
+   * @param {Function|Boolean} [opts.sequential] : handle the messages with the same key one after
+   * the other, in the order they were received, and the other ones concurrently. A function
+   * returns the key of a message from its fields and properties, `true` uses its partition key,
+   * see `setupPartitionedQueue`.
+   * @returns {void}
    */
-  function* consume(queue, handler) {
-    yield busClient.channel.consume(queue, co.wrap(function* _consumeMessage(message) {
-      const contentString = message.content.toString();
-      let content;
+  function* consume(queue, handler, opts) {
+    yield startConsuming(queue, handler, opts, null);
+  }
+
+  /**
+   * Consume the partitions of a queue created with `setupPartitionedQueue`. The messages of a
+   * partition key are handled one after the other, the ones of different keys concurrently. The
+   * partitions are paused and resumed together with the name of the partitioned queue.
+   *
+   * @name  consumePartitioned
+   * @param {String} queue : the name of the partitioned queue
+   * @param {Function} handler : the consumer handler, see `consume`
+   * @param {Object} opts : the options of `consume`, applied to each partition
+   * @param {Number} opts.partitions : the number of partitions
+   * @returns {void}
+   */
+  function* consumePartitioned(queue, handler, opts) {
+    opts = Object.assign({ sequential: true }, opts);
+    partition.assertPartitions(opts.partitions);
+    for (let index = 0; index < opts.partitions; index++) {
+      yield startConsuming(partition.queueName(queue, index), handler, opts, queue);
+    }
+  }
+
+  /**
+   * @param {String} queue : the queue name
+   * @param {Function} handler : the consumer handler
+   * @param {Object} [opts] : the options of `consume`
+   * @param {String} group : the partitioned queue of the consumed partition, null for a queue
+   * @returns {void}
+   */
+  function* startConsuming(queue, handler, opts, group) {
+    opts = opts || {};
+    const prefetch = opts.prefetch || opts.concurrency || 0;
+    const consumer = {
+      queue,
+      group,
+      handler,
+      prefetch,
+      retry: retry.createPolicy(opts.retry),
+      dedup: dedup.createPolicy(opts.dedup),
+      timeout: opts.timeout || 0,
+      channelName: consumerChannelName(queue),
+      limiter: createLimiter(opts.concurrency || prefetch),
+      sequence: createSequence(opts.sequential)
+    };
+    if (consumer.retry) {
+      yield assertQueue(retry.parkingQueueName(queue), { durable: true });
+    }
+    yield startConsumer(consumer);
+    consumers.push(consumer);
+  }
+
+  /**
+   * Stop consuming a queue: the broker stops sending messages to its consumers, the messages being
+   * handled are still acknowledged. A paused consumer is not restarted after a reconnection.
+   *
+   * @param {String} queue : the queue name, or the name of a partitioned queue
+   * @returns {void}
+   */
+  function* pause(queue) {
+    for (const consumer of consumers.filter(item => isConsumerOf(item, queue) && !item.paused)) {
+      consumer.paused = true;
+      yield cancelConsumer(consumer);
+      consumer.consumerTag = null;
+    }
+  }
+
+  /**
+   * Consume a paused queue again. When the client is disconnected, the consumers are restarted
+   * once it is reconnected.
+   *
+   * @param {String} queue : the queue name, or the name of a partitioned queue
+   * @returns {void}
+   */
+  function* resume(queue) {
+    for (const consumer of consumers.filter(item => isConsumerOf(item, queue) && item.paused)) {
+      consumer.paused = false;
+      if (busClient.connection && !draining) yield startConsumer(consumer);
+    }
+  }
+
+  /**
+   * Read the first messages of a queue without consuming them: they are fetched, then rejected
+   * back to the queue, where they keep their position and are marked redelivered. The messages
+   * being handled by a consumer are not read.
+   *
+   * @param {String} queue : the queue name
+   * @param {Object} [opts] : various options
+   * @param {Number} [opts.count] : the maximum number of messages read, default to 10
+   * @returns {Object[]} the messages `{ content, fields, properties }`, with their decoded content,
+   * or their raw content when it cannot be decoded
+   */
+  function* peek(queue, opts) {
+    const count = (opts && opts.count) || DEFAULT_PEEK_COUNT;
+    const messages = [];
+    yield scanQueue(queue, message => {
+      messages.push({ content: decodeOrRaw(message), fields: message.fields, properties: message.properties });
+      return false;
+    }, () => messages.length >= count, count);
+    return messages;
+  }
+
+  /**
+   * List the dead-lettered messages of a queue without consuming them, like `peek`, with their
+   * dead-lettering history and where they were first published, see lib/deadletter.js.
+   *
+   * @param {String} queue : the dead letter queue name, or a parking queue name
+   * @param {Object} [opts] : various options
+   * @param {Object} [opts.filter] : the messages listed, by original `routingKey` (a topic
+   * pattern), original `queue` or handler `error` (a text or a RegExp), all by default
+   * @param {Number} [opts.count] : the maximum number of messages listed, default to all
+   * @param {Number} [opts.scanLimit] : the maximum number of messages read, they are held
+   * unacknowledged until the listing is over, default to 1000
+   * @returns {Object[]} the dead letters `{ content, fields, properties, deaths, origin, error }`
+   */
+  function* listDeadLetters(queue, opts) {
+    opts = opts || {};
+    const matches = deadletter.createFilter(opts.filter);
+    const deadLetters = [];
+    yield scanQueue(queue, message => {
+      const deadLetter = deadletter.describe(message, decodeOrRaw(message));
+      if (matches(deadLetter)) deadLetters.push(deadLetter);
+      return false;
+    }, () => deadLetters.length >= (opts.count || Infinity), opts.scanLimit);
+    return deadLetters;
+  }
+
+  /**
+   * Publish the dead-lettered messages of a queue again on the exchange and with the routing key
+   * they were first published with, without their dead-lettering and retry headers. A message is
+   * removed from the queue once it is written on the channel, ahead of its acknowledgement, or
+   * confirmed in confirm mode. The messages that
+   * do not match the filter, or whose origin is unknown, are left in the queue.
+   *
+   * @param {String} queue : the dead letter queue name, or a parking queue name
+   * @param {Object} [opts] : various options
+   * @param {Object} [opts.filter] : the messages replayed, see `listDeadLetters`
+   * @param {Number} [opts.count] : the maximum number of messages replayed, default to the
+   * messages in the queue when the replay starts
+   * @param {Number} [opts.rate] : the maximum number of messages replayed per second, no limit by
+   * default
+   * @param {Boolean} [opts.dryRun] : true to only list the messages that would be replayed, every
+   * message is left in the queue
+   * @param {Number} [opts.scanLimit] : the maximum number of messages left in the queue, they are
+   * held unacknowledged until the replay is over, which stops once they are reached, default to 1000
+   * @returns {Object} the number of messages `replayed` and `skipped`, and the replayed
+   * `messages`, like the ones of `listDeadLetters`
+   */
+  function* replayDeadLetters(queue, opts) {
+    opts = opts || {};
+    const matches = deadletter.createFilter(opts.filter);
+    const result = { replayed: 0, skipped: 0, messages: [] };
+    const start = Date.now();
+    yield scanQueue(queue, function* replay(message) {
+      const deadLetter = deadletter.describe(message, decodeOrRaw(message));
+      if (!deadLetter.origin || !matches(deadLetter)) {
+        result.skipped++;
+        return false;
+      }
+      if (!opts.dryRun) {
+        if (opts.rate) yield wait(start + result.replayed * 1000 / opts.rate - Date.now());
+        if (closing) throw new Error('The bus client is closed');
+        const sent = sendContent({
+          exchange: deadLetter.origin.exchange,
+          rootingKey: deadLetter.origin.routingKey,
+          content: message.content,
+          properties: deadletter.replayOptions(message)
+        });
+        // a queued message is written once the channel drains: acknowledging the dead letter
+        // before would remove it even if the channel is lost meanwhile
+        yield sent === false ? whenWritable() : Promise.resolve(sent);
+        countPublished(deadLetter.origin.exchange, deadLetter.origin.routingKey);
+      }
+      result.replayed++;
+      result.messages.push(deadLetter);
+      return !opts.dryRun;
+    }, () => result.replayed >= (opts.count || Infinity), opts.scanLimit);
+    return result;
+  }
+
+  /**
+   * Publish the messages of a parking queue again on the exchange and with the routing key they
+   * were first published with, see `replayDeadLetters`.
+   *
+   * @param {String} queue : the parking queue name, like `<queue>.parking`
+   * @param {Object} [opts] : various options
+   * @param {Number} [opts.count] : the maximum number of messages moved, default to the messages
+   * in the queue when the move starts
+   * @returns {Number} the number of messages moved
+   */
+  function* moveParked(queue, opts) {
+    const result = yield replayDeadLetters(queue, { count: opts && opts.count });
+    return result.replayed;
+  }
+
+  /**
+   * Read the messages in a queue when the scan starts, one at a time, until the scan is done. The
+   * messages visited are removed from the queue, or rejected back to it once the scan is over, in
+   * their order. The messages kept are held unacknowledged until then, so the scan stops once
+   * `limit` messages are kept.
+   *
+   * @param {String} queue : the queue name
+   * @param {Function} visit : called with each message, a generator function or a function, returns
+   * true to remove the message from the queue
+   * @param {Function} done : returns true once the scan is over
+   * @param {Number} [limit] : the maximum number of messages kept, default to 1000
+   * @returns {void}
+   */
+  function* scanQueue(queue, visit, done, limit) {
+    if (!busClient.channel) throw new Error('The bus client is not connected');
+    const channel = busClient.channel;
+    const reply = yield channel.checkQueue(queue);
+    const maxKept = limit || DEFAULT_SCAN_LIMIT;
+    const kept = [];
+    let read = 0;
+    try {
+      while (read < reply.messageCount && kept.length < maxKept && !done()) {
+        const message = yield channel.get(queue);
+        if (!message) break;
+        read++;
+        let remove = false;
+        try {
+          remove = yield compat.call(visit, [message]);
+        } finally {
+          if (remove) settle(channel, 'ack', message);
+          else kept.push(message);
+        }
+      }
+    } finally {
+      // the last rejected message goes back first
+      kept.reverse().forEach(message => settle(channel, 'nack', message));
+    }
+  }
+
+  /**
+   * @param {Object} message : the message
+   * @returns {*} the decoded content of the message, its raw content if it cannot be decoded
+   */
+  function decodeOrRaw(message) {
+    try {
+      return busClient.decode(message);
+    } catch (err) {
+      return message.content;
+    }
+  }
 
+  /**
+   * Start consuming on the channel of the consumer, opened if needed. Messages are acknowledged on
+   * the channel they were received on: once it is lost, the broker redelivers them.
+   * The prefetch applies to the consumers started after it on the channel, so it is set before
+   * each of them, 0 meaning no limit.
+   *
+   * @param {Object} consumer : the queue, handler and options of the consumer
+   * @returns {void}
+   */
+  function* startConsumer(consumer) {
+    const channel = yield openChannel(consumer.channelName);
+    // a consumer resumed while its channel was reopened is already started
+    if (consumer.consumerTag && consumer.channel === channel) return;
+
+    yield channel.prefetch(consumer.prefetch);
+    const reply = yield channel.consume(consumer.queue, message => {
+      const handling = co(consumeMessage(channel, consumer, message));
+      const done = () => inFlight.delete(handling);
+      inFlight.add(handling);
+      handling.then(done, done);
+      return handling;
+    });
+    consumer.channel = channel;
+    consumer.consumerTag = reply.consumerTag;
+  }
+
+  /**
+   * Wait for the messages received before with the same key to be handled, then for the consumer
+   * concurrency to allow the handling of a message, then handle it.
+   * A message still waiting when the client shuts down is requeued.
+   *
+   * @param {Object} channel : the channel the message was received on
+   * @param {Object} consumer : the consumer
+   * @param {Object} message : the message
+   * @returns {void}
+   */
+  function* consumeMessage(channel, consumer, message) {
+    const labels = { queue: consumer.queue };
+    sink.increment(metrics.METRICS.consumed.name, labels);
+    if (message.fields.redelivered) sink.increment(metrics.METRICS.redelivered.name, labels);
+    countInFlight(consumer.queue, 1);
+    let done = null;
+    try {
+      done = yield consumer.sequence(message);
+      yield consumer.limiter.acquire();
+      try {
+        if (draining) return settleMessage(channel, consumer, 'nack', message);
+        return yield handleMessage(channel, consumer, message);
+      } finally {
+        consumer.limiter.release();
+      }
+    } finally {
+      if (done) done();
+      countInFlight(consumer.queue, -1);
+    }
+  }
+
+  /**
+   * Update the number of messages received and not settled yet on a queue.
+   *
+   * @param {String} queue : the queue name
+   * @param {Number} delta : 1 when a message is received, -1 once it is settled
+   * @returns {void}
+   */
+  function countInFlight(queue, delta) {
+    const count = (inFlightByQueue.get(queue) || 0) + delta;
+    inFlightByQueue.set(queue, count);
+    sink.set(metrics.METRICS.inFlight.name, { queue }, count);
+  }
+
+  /**
+   * Acknowledge or reject a message, and count it.
+   *
+   * @param {Object} channel : the channel the message was received on
+   * @param {Object} consumer : the consumer of the message
+   * @param {String} method : 'ack' or 'nack'
+   * @param {Object} message : the message
+   * @returns {void}
+   */
+  function settleMessage(channel, consumer, method, message) {
+    const metric = method === 'ack' ? metrics.METRICS.acked : metrics.METRICS.nacked;
+    sink.increment(metric.name, { queue: consumer.queue });
+    return settle(channel, method, message);
+  }
+
+  /**
+   * Decode and validate a message, pass it to the consumer handler and acknowledge it.
+   * The codec is picked from the content type of the message, JSON by default. Messages that do
+   * not match their schema are handled like messages that cannot be decoded. With a deduplication
+   * policy, a message whose key is in the store is acknowledged without being handled, and the key
+   * is added once the handler succeeds: a message is handled again only if the store cannot be
+   * reached, or if its duplicate arrives while it is still being handled.
+   *
+   * @param {Object} channel : the channel the message was received on
+   * @param {Object} consumer : the consumer
+   * @param {Object} message : the message
+   * @returns {void}
+   */
+  function* handleMessage(channel, consumer, message) {
+    const queue = consumer.queue;
+    let content;
+
+    try {
+      content = busClient.decode(message);
+    } catch (decodeErr) {
+      const err = decodeErr.cause || decodeErr;
+      // https://nodejs.org/api/events.html#events_error_events
+      busClient.emit('consume_error', decodeErr, { err, queue, message });
+      if (consumer.retry) return parkMessage(channel, consumer, message, err);
+      return settleMessage(channel, consumer, 'ack', message);
+    }
+
+    const fields = retry.originFields(message);
+    const errors = schemaRegistry.validate(fields.exchange, fields.routingKey, content);
+    if (errors) {
+      const err = schemas.createValidationError(fields.exchange, fields.routingKey, errors);
+      busClient.emit('validation_error', err, { queue, message, errors });
+      if (consumer.retry) return parkMessage(channel, consumer, message, err);
+      return settleMessage(channel, consumer, 'ack', message);
+    }
+
+    const key = consumer.dedup ? dedup.getKey(consumer.dedup, content, fields, message.properties) : undefined;
+    if (key !== undefined) {
+      let handled;
       try {
-        content = JSON.parse(contentString);
+        handled = yield consumer.dedup.store.has(key);
       } catch (err) {
-        // https://nodejs.org/api/events.html#events_error_events
-        busClient.emit('consume_error', new Error('Content is not a valid JSON'), { err, queue, message });
-        return busClient.channel.ack(message);
+        busClient.emit('consume_error', new Error('Deduplication store failed'), { err, queue, message });
+        return yield failMessage(channel, consumer, message, err);
+      }
+      if (handled) {
+        sink.increment(metrics.METRICS.duplicates.name, { queue });
+        busClient.emit('duplicate', { queue, key, message });
+        return settleMessage(channel, consumer, 'ack', message);
       }
+    }
 
+    const start = process.hrtime();
+    const handling = cancellation.createCancellation();
+    try {
+      yield cancellation.withTimeout(compat.call(consumer.handler, [content, fields, message.properties, handling.signal]),
+        consumer.timeout, handling);
+    } catch (err) {
+      const timedOut = handling.signal.reason === err;
+      const result = timedOut ? 'timeout' : 'error';
+      sink.observe(metrics.METRICS.handlerDuration.name, { queue, result }, metrics.elapsedSeconds(start));
+      busClient.emit('consume_error', timedOut ? err : new Error('Consumer handler failed'), { err, queue, message });
+      return yield failMessage(channel, consumer, message, err);
+    }
+    sink.observe(metrics.METRICS.handlerDuration.name, { queue, result: 'success' }, metrics.elapsedSeconds(start));
+
+    if (key !== undefined) {
       try {
-        yield handler(content, message.fields);
+        yield consumer.dedup.store.add(key, consumer.dedup.retention);
       } catch (err) {
-        busClient.emit('consume_error', new Error('Consumer handler failed'), { err, queue, message });
-        return busClient.channel.nack(message);
+        // the message is handled, it is acknowledged even if a redelivery would not be detected
+        busClient.emit('consume_error', new Error('Deduplication store failed'), { err, queue, message });
       }
-      return busClient.channel.ack(message);
-    }));
+    }
+    return settleMessage(channel, consumer, 'ack', message);
+  }
+
+  /**
+   * Follow the retry policy of the consumer with a message that could not be handled, or requeue
+   * it if there is none.
+   *
+   * @param {Object} channel : the channel the message was received on
+   * @param {Object} consumer : the consumer that failed to handle the message
+   * @param {Object} message : the message
+   * @param {Error} err : the error
+   * @returns {void}
+   */
+  function* failMessage(channel, consumer, message, err) {
+    if (consumer.retry) return yield retryMessage(channel, consumer, message, err);
+    return settleMessage(channel, consumer, 'nack', message);
+  }
+
+  /**
+   * Delay a failed message in a retry queue, or park it once it has no attempt left.
+   *
+   * @param {Object} channel : the channel the message was received on
+   * @param {Object} consumer : the consumer that failed to handle the message
+   * @param {Object} message : the message
+   * @param {Error} err : the handler error
+   * @returns {void}
+   */
+  function* retryMessage(channel, consumer, message, err) {
+    const attempts = retry.getAttempts(message) + 1;
+    if (attempts >= consumer.retry.maxAttempts) {
+      return parkMessage(channel, consumer, message, err);
+    }
+
+    const delay = retry.backoff(consumer.retry, attempts);
+    const retryQueue = retry.retryQueueName(consumer.queue, delay);
+    try {
+      yield assertQueue(retryQueue, retry.retryQueueOptions(consumer.queue, delay));
+      channel.sendToQueue(retryQueue, message.content,
+        retry.republishOptions(consumer.queue, message, attempts, err));
+    } catch (republishErr) {
+      return settleMessage(channel, consumer, 'nack', message);
+    }
+    sink.increment(metrics.METRICS.retried.name, { queue: consumer.queue });
+    return settleMessage(channel, consumer, 'ack', message);
+  }
+
+  /**
+   * Move a message to the parking queue of its consumer, with the error and attempts count in
+   * its headers. The parking queue is declared by `consume`.
+   *
+   * @param {Object} channel : the channel the message was received on
+   * @param {Object} consumer : the consumer that failed to handle the message
+   * @param {Object} message : the message
+   * @param {Error} err : the error that made the message unprocessable
+   * @returns {void}
+   */
+  function parkMessage(channel, consumer, message, err) {
+    const attempts = retry.getAttempts(message) + 1;
+    try {
+      channel.sendToQueue(retry.parkingQueueName(consumer.queue), message.content,
+        retry.republishOptions(consumer.queue, message, attempts, err));
+    } catch (republishErr) {
+      return settleMessage(channel, consumer, 'nack', message);
+    }
+    sink.increment(metrics.METRICS.parked.name, { queue: consumer.queue });
+    return settleMessage(channel, consumer, 'ack', message);
+  }
+
+  /**
+   * Declare a queue once, it is declared again after a reconnection.
+   *
+   * @param {String} queue : the queue name
+   * @param {Object} queueOptions : the queue options
+   * @returns {void}
+   */
+  function* assertQueue(queue, queueOptions) {
+    if (topology.queues.has(queue)) return;
+    yield busClient.channel.assertQueue(queue, queueOptions);
+    topology.queues.set(queue, queueOptions);
   }
 
   /**
@@ -100,26 +1108,452 @@ function* createClient(url, options) {
    * @param {String} exchange : the name of the exchange on which you want to connect.
    * @param {String} queue : the queue name
    * @param {String} rootingKey : the rooting that you want to bind.
-  * @param {Function} handler : should be yieldable,
-   * @param {Object} [opts] : various options that will be passed to the setupQueue method
+   * @param {Function} handler : the consumer handler, see `consume`
+   * @param {Object} [opts] : various options that will be passed to the setupQueue and consume
+   * methods
+   * @returns {void}
    */
   function* listen(exchange, queue, rootingKey, handler, opts) {
     yield setupQueue(exchange, queue, rootingKey, opts);
-    yield consume(queue, handler);
+    yield consume(queue, handler, opts);
   }
 
   /**
    * Publish a message to an exchange with the given rooting key.
+   * The message is validated against the schema registered for the exchange and rooting key,
+   * encoded with the codec of its content type, see lib/codecs.js, and wrapped in an envelope, see
+   * lib/envelope.js.
    *
    * @param  {String} exchange: The exchange on which you want to publish.
    * @param  {queue} rootingKey: The rooting key for your message.
    * @param  {Object} message: Your message.
    * @param  {Object} opts: options passsed to the publish function.
-   * @return {Boolean} true if the message was written, false else
+   * @param  {Object} [opts.causedBy]: the properties of the message being handled, to propagate
+   * its correlation id.
+   * @param  {Object} [opts.headers]: custom headers.
+   * @param  {String} [opts.contentType]: the content type selecting the codec, JSON by default and
+   * binary for buffers.
+   * @param  {String} [opts.contentEncoding]: 'gzip' to compress the message.
+   * @param  {String} [opts.partitionKey]: the partition key of the message, routing it to one of
+   * the partitions of the queues created with `setupPartitionedQueue`.
+   * @param  {Number} [opts.partitions]: the number of partitions of these queues.
+   * @return {Boolean|Promise} true if the message was written, false else. In confirm mode, a
+   * promise resolved when the broker acknowledges the message, rejected when it does not.
    */
   function publish(exchange, rootingKey, message, opts) {
-    return busClient.channel.publish(exchange, rootingKey, new Buffer(JSON.stringify(message)), opts);
+    if (!busClient.channel) throw new Error('The bus client is not connected');
+    validateMessage(exchange, rootingKey, message);
+    const result = sendMessage(exchange, rootingKey, message, opts);
+    countPublished(exchange, rootingKey);
+    return result;
   }
+
+  /**
+   * Publish a message to an exchange after a delay, through a delay bucket: a queue holding the
+   * messages with a TTL, then dead-lettering them to the exchange, see lib/delay.js. Buckets are
+   * created on first use and reused, the delay is rounded up to the `delayPrecision` option.
+   *
+   * @param  {String} exchange: The exchange on which you want to publish.
+   * @param  {queue} rootingKey: The rooting key for your message.
+   * @param  {Object} message: Your message.
+   * @param  {Number} delayMs: the delay in ms, the message is published at once if it is not
+   * positive.
+   * @param  {Object} [opts]: options passed to `publish`.
+   * @return {Boolean|Promise} the result of the publication in the delay bucket, see `publish`.
+   */
+  function* publishDelayed(exchange, rootingKey, message, delayMs, opts) {
+    if (!busClient.channel) throw new Error('The bus client is not connected');
+    const bucketDelay = delays.bucketDelay(delayMs, options.delayPrecision);
+    if (!bucketDelay) return publish(exchange, rootingKey, message, opts);
+
+    validateMessage(exchange, rootingKey, message);
+    yield setupDelayBucket(exchange, bucketDelay);
+    const result = sendMessage(delays.bucketName(exchange, bucketDelay), rootingKey, message, opts);
+    countPublished(exchange, rootingKey);
+    return result;
+  }
+
+  /**
+   * Publish a message to an exchange at a given date, see `publishDelayed`.
+   *
+   * @param  {String} exchange: The exchange on which you want to publish.
+   * @param  {queue} rootingKey: The rooting key for your message.
+   * @param  {Object} message: Your message.
+   * @param  {Date|Number|String} date: the publication date, the message is published at once if
+   * it is past.
+   * @param  {Object} [opts]: options passed to `publish`.
+   * @return {Boolean|Promise} the result of the publication in the delay bucket, see `publish`.
+   */
+  function* publishAt(exchange, rootingKey, message, date, opts) {
+    return yield publishDelayed(exchange, rootingKey, message, new Date(date).getTime() - Date.now(), opts);
+  }
+
+  /**
+   * Declare the exchange and queue of a delay bucket, once. They are restored after a
+   * reconnection like the rest of the topology.
+   *
+   * @param {String} exchange : the target exchange
+   * @param {Number} bucketDelay : the delay of the bucket in ms
+   * @returns {Promise} resolved once the bucket is declared
+   */
+  function setupDelayBucket(exchange, bucketDelay) {
+    const name = delays.bucketName(exchange, bucketDelay);
+    if (!delayBuckets.has(name)) {
+      const setup = co(setupQueue(name, name, '', {
+        exchangeType: 'fanout',
+        queueOptions: delays.bucketQueueOptions(exchange, bucketDelay)
+      }));
+      setup.catch(() => delayBuckets.delete(name));
+      delayBuckets.set(name, setup);
+    }
+    return delayBuckets.get(name);
+  }
+
+  /**
+   * @param {String} exchange : the exchange of the published message
+   * @param {String} rootingKey : the rooting key of the published message
+   * @returns {void}
+   */
+  function countPublished(exchange, rootingKey) {
+    // direct replies are sent to a queue name generated per channel
+    const routingKey = String(rootingKey).indexOf(REPLY_QUEUE) === 0 ? REPLY_QUEUE : rootingKey;
+    sink.increment(metrics.METRICS.published.name, { exchange, routing_key: routingKey });
+  }
+
+  /**
+   * Validate a message against the schema registered for its exchange and rooting key.
+   *
+   * @param  {String} exchange: The exchange of the message.
+   * @param  {queue} rootingKey: The rooting key of the message.
+   * @param  {Object} message: The message.
+   * @returns {void}
+   */
+  function validateMessage(exchange, rootingKey, message) {
+    const errors = schemaRegistry.validate(exchange, rootingKey, message);
+    if (!errors) return;
+    const err = schemas.createValidationError(exchange, rootingKey, errors);
+    if (publishValidation !== 'warn') throw err;
+    busClient.emit('validation_error', err, { exchange, routingKey: rootingKey, message, errors });
+  }
+
+  /**
+   * Encode a message, wrap it in an envelope and publish it, see `sendContent`.
+   *
+   * @param  {String} exchange: The exchange on which the message is published.
+   * @param  {queue} rootingKey: The rooting key of the message.
+   * @param  {Object} message: The message.
+   * @param  {Object} [opts]: options passsed to the publish function.
+   * @return {Boolean|Promise} see `publish`.
+   */
+  function sendMessage(exchange, rootingKey, message, opts) {
+    // the connection may have been lost while a delay bucket was declared
+    if (!busClient.channel) throw new Error('The bus client is not connected');
+    opts = partition.publishOptions(opts);
+    const encoded = codecRegistry.encode(message, opts);
+    const content = encoded.content;
+    delete encoded.content;
+    const properties = envelope.createProperties(Object.assign({}, opts, encoded), options.appId);
+    return sendContent({ exchange, rootingKey, content, properties });
+  }
+
+  /**
+   * Publish an encoded message, waiting for the broker confirmation in confirm mode.
+   *
+   * @param {Object} write : the exchange, rooting key, content and properties of the message
+   * @return {Boolean|Promise} see `publish`.
+   */
+  function sendContent(write) {
+    if (!confirmOptions) return writeMessage(busClient.channel, write);
+
+    const channel = busClient.channel;
+    const confirmation = {};
+    confirmation.promise = new Promise((resolve, reject) => {
+      confirmation.settle = err => {
+        if (!unconfirmed.has(confirmation)) return;
+        unconfirmed.delete(confirmation);
+        clearTimeout(confirmation.timer);
+        if (err) reject(err);
+        else resolve();
+      };
+    });
+    confirmation.timer = setTimeout(() => confirmation.settle(
+      new Error(`The broker did not confirm the message within ${confirmOptions.timeout}ms`)
+    ), confirmOptions.timeout);
+    unconfirmed.add(confirmation);
+
+    write.confirmation = confirmation;
+    write.callback = err => confirmation.settle(err ? new Error('The broker rejected the message') : null);
+    try {
+      writeMessage(channel, write);
+    } catch (err) {
+      confirmation.settle(err);
+    }
+    return confirmation.promise;
+  }
+
+  /**
+   * Write a message on the main channel, or queue it while the write buffer of the channel is
+   * full: amqplib buffers every message it is given, a producer ignoring its `false` return value
+   * would make it grow without limit. The queued messages are written once the channel drains.
+   *
+   * @param {Object} channel : the main channel
+   * @param {Object} write : the exchange, rooting key, content, properties and confirm callback
+   * of the message
+   * @returns {Boolean} false if the message is queued or filled the write buffer, true else
+   */
+  function writeMessage(channel, write) {
+    if (blockedChannel === channel) {
+      pendingWrites.push(write);
+      return false;
+    }
+    const written = channel.publish(write.exchange, write.rootingKey, write.content, write.properties,
+      write.callback);
+    if (!written) blockChannel(channel);
+    return written;
+  }
+
+  /**
+   * @param {Object} channel : the main channel, whose write buffer is full
+   * @returns {void}
+   */
+  function blockChannel(channel) {
+    blockedChannel = channel;
+    channel.once('drain', () => flushWrites(channel));
+  }
+
+  /**
+   * Write the queued messages once the channel drains, until its write buffer is full again.
+   *
+   * @param {Object} channel : the main channel
+   * @returns {void}
+   */
+  function flushWrites(channel) {
+    if (blockedChannel !== channel) return;
+    blockedChannel = null;
+    while (pendingWrites.length) {
+      const write = pendingWrites.shift();
+      // a confirmation may have timed out while the message was queued
+      if (write.confirmation && !unconfirmed.has(write.confirmation)) continue;
+      let written;
+      try {
+        written = channel.publish(write.exchange, write.rootingKey, write.content, write.properties,
+          write.callback);
+      } catch (err) {
+        if (write.confirmation) write.confirmation.settle(err);
+        continue;
+      }
+      if (!written) {
+        blockChannel(channel);
+        return;
+      }
+    }
+    notifyWritable();
+  }
+
+  /**
+   * Forget the messages queued on a lost main channel: like the ones in the amqplib buffer, they
+   * are not published, and their confirmations are rejected with the other unconfirmed messages.
+   *
+   * @returns {void}
+   */
+  function resetWrites() {
+    const blocked = blockedChannel;
+    blockedChannel = null;
+    pendingWrites.length = 0;
+    if (blocked) notifyWritable();
+  }
+
+  /**
+   * @returns {void}
+   */
+  function notifyWritable() {
+    writableWaiters.splice(0).forEach(resolve => resolve());
+    busClient.emit('drain');
+  }
+
+  /**
+   * Wait until the main channel accepts messages again: `publish` returns false when its write
+   * buffer is full, and the next messages are queued in memory until it drains.
+   *
+   * @returns {Promise} resolved at once if the buffer is not full, else once the channel drains
+   */
+  function whenWritable() {
+    if (!blockedChannel) return Promise.resolve();
+    return new Promise(resolve => writableWaiters.push(resolve));
+  }
+
+  /**
+   * Publish several messages to an exchange, waiting for the channel to drain when its write
+   * buffer is full. Every message is validated before the first one is published. In confirm
+   * mode, the broker confirmations are awaited once, for the whole batch.
+   *
+   * @param {String} exchange : the exchange on which the messages are published
+   * @param {Object[]} messages : the messages `{ routingKey, message, options }`, see `publish`
+   * for the options
+   * @returns {void}
+   * @throws {Error} in confirm mode, when messages are not confirmed: its `errors` property holds
+   * the error of each message, null for the confirmed ones
+   */
+  function* publishBatch(exchange, messages) {
+    if (!busClient.channel) throw new Error('The bus client is not connected');
+    messages.forEach(item => validateMessage(exchange, item.routingKey, item.message));
+
+    const confirmations = [];
+    for (const item of messages) {
+      if (blockedChannel) yield whenWritable();
+      const result = sendMessage(exchange, item.routingKey, item.message, item.options);
+      countPublished(exchange, item.routingKey);
+      if (confirmOptions) confirmations.push(result.then(() => null, err => err));
+    }
+
+    const errors = yield Promise.all(confirmations);
+    const failed = errors.filter(Boolean);
+    if (failed.length) {
+      const err = new Error(`${failed.length} of ${messages.length} messages were not confirmed by the broker`);
+      err.errors = errors;
+      throw err;
+    }
+  }
+
+  /**
+   * Create a writable stream publishing the objects `{ routingKey, message, options }` written to
+   * it. The stream applies backpressure: a write is over once the message is written on the
+   * channel, and confirmed in confirm mode. The buffered writes are published as a batch.
+   *
+   * @param {String} exchange : the exchange on which the messages are published
+   * @param {Object} [opts] : various options
+   * @param {Number} [opts.highWaterMark] : the number of messages buffered by the stream, default
+   * to 16
+   * @returns {stream.Writable} the stream, in object mode
+   */
+  function createPublishStream(exchange, opts) {
+    return new stream.Writable({
+      objectMode: true,
+      highWaterMark: (opts && opts.highWaterMark) || DEFAULT_STREAM_HIGH_WATER_MARK,
+      write: (item, encoding, callback) => {
+        co(publishBatch(exchange, [item])).then(() => callback(), callback);
+      },
+      writev: (chunks, callback) => {
+        co(publishBatch(exchange, chunks.map(chunk => chunk.chunk))).then(() => callback(), callback);
+      }
+    });
+  }
+
+  /**
+   * Wait for the broker to confirm or reject every message published so far in confirm mode.
+   * Rejections are reported by the promises returned by `publish`, not by this one.
+   *
+   * @returns {Promise} resolved once no message published before the call is left unconfirmed
+   */
+  function waitForConfirms() {
+    return Promise.all([...unconfirmed].map(confirmation => confirmation.promise.catch(() => null)));
+  }
+
+  /**
+   * Reject every message that is still waiting for a confirmation.
+   *
+   * @param {Error} err : the rejection error
+   * @returns {void}
+   */
+  function rejectUnconfirmed(err) {
+    unconfirmed.forEach(confirmation => confirmation.settle(err));
+  }
+}
+
+/**
+ * Limit the number of tasks running at the same time.
+ *
+ * @param {Number} limit : the maximum number of running tasks, 0 for no limit
+ * @returns {Object} the limiter: `acquire()` returns a promise resolved when a task can run,
+ * `release()` must be called once the task is over
+ */
+function createLimiter(limit) {
+  let running = 0;
+  const waiting = [];
+
+  return {
+    acquire() {
+      if (!limit || running < limit) {
+        running++;
+        return Promise.resolve();
+      }
+      return new Promise(resolve => waiting.push(resolve));
+    },
+    release() {
+      const next = waiting.shift();
+      if (next) next();
+      else running--;
+    }
+  };
+}
+
+/**
+ * Chain the handling of the messages with the same key.
+ *
+ * @param {Function|Boolean} [sequential] : the key of a message from its fields and properties,
+ * `true` for its partition key
+ * @returns {Function} returns a Promise resolved once the messages received before with the same
+ * key are handled, with a function to call once the message is handled
+ */
+function createSequence(sequential) {
+  const noop = () => undefined;
+  if (!sequential) return () => Promise.resolve(noop);
+  const getKey = typeof sequential === 'function' ? sequential :
+    (fields, properties) => partition.getKey(properties);
+  // the last message of each key being handled or waiting
+  const tails = new Map();
+
+  return message => {
+    const key = getKey(message.fields, message.properties);
+    if (key === undefined || key === null) return Promise.resolve(noop);
+    const previous = tails.get(key) || Promise.resolve();
+    let release;
+    const current = new Promise(resolve => { release = resolve; });
+    tails.set(key, current);
+    return previous.then(() => () => {
+      if (tails.get(key) === current) tails.delete(key);
+      release();
+    });
+  };
+}
+
+/**
+ * @param {Object} consumer : the consumer
+ * @param {String} queue : the queue name, or the name of a partitioned queue
+ * @returns {Boolean} true if the consumer consumes the queue, or one of its partitions
+ */
+function isConsumerOf(consumer, queue) {
+  return consumer.queue === queue || consumer.group === queue;
+}
+
+/**
+ * Acknowledge or reject a message on the channel it was received on.
+ * If the channel was lost in the meantime, there is nothing left to do: the broker requeues the
+ * unacknowledged messages of a closed channel.
+ *
+ * @param {Object} channel : the channel the message was received on
+ * @param {String} method : 'ack' or 'nack'
+ * @param {Object} message : the message
+ * @returns {void}
+ */
+function settle(channel, method, message) {
+  try {
+    channel[method](message);
+  } catch (err) {
+    return;
+  }
+}
+
+/**
+ * Close a connection or a channel, ignoring the error raised when it is already closed.
+ *
+ * @param {Object} connection : the connection or the channel
+ * @returns {Promise} resolved once it is closed
+ */
+function closeQuietly(connection) {
+  return Promise.resolve()
+    .then(() => connection.close())
+    .catch(() => null);
 }
 
 module.exports = co.wrap(createClient);
@@ -0,0 +1,153 @@
+'use strict';
+
+const zlib = require('zlib');
+
+const JSON_TYPE = 'application/json';
+const BINARY_TYPE = 'application/octet-stream';
+const GZIP = 'gzip';
+const DEFAULT_COMPRESSION = { threshold: 1024 };
+
+const BUILTIN_CODECS = {
+  [JSON_TYPE]: {
+    name: 'JSON',
+    encode: value => new Buffer(JSON.stringify(value)),
+    decode: content => JSON.parse(content.toString())
+  },
+  [BINARY_TYPE]: {
+    name: 'binary',
+    encode: value => (Buffer.isBuffer(value) ? value : new Buffer(value)),
+    decode: content => content
+  }
+};
+
+/**
+ * Create a registry of codecs, by content type. JSON is the default codec, raw binary content
+ * (`application/octet-stream`) is supported out of the box, and any other codec can be registered.
+ *
+ * A codec is an object with an `encode(value)` method returning a Buffer, and a
+ * `decode(content)` method doing the opposite. It may have a `name`, used in error messages.
+ *
+ * @param {Object} [opts] various options
+ * @param {Object|Boolean} [opts.compression] gzip the encoded content from a size in bytes,
+ * `true` for the default `{ threshold: 1024 }`
+ * @returns {Object} the registry
+ */
+function createCodecRegistry(opts) {
+  opts = opts || {};
+  const compression = opts.compression ?
+    Object.assign({}, DEFAULT_COMPRESSION, opts.compression === true ? {} : opts.compression) :
+    null;
+  const codecs = new Map(Object.keys(BUILTIN_CODECS).map(type => [type, BUILTIN_CODECS[type]]));
+
+  return { register, encode, decode };
+
+  /**
+   * Register the codec of a content type, it replaces any previous one.
+   *
+   * @param {String} contentType the content type, e.g. 'application/x-msgpack'
+   * @param {Object} codec the codec
+   * @returns {void}
+   */
+  function register(contentType, codec) {
+    if (!codec || typeof codec.encode !== 'function' || typeof codec.decode !== 'function') {
+      throw new Error(`The codec of ${contentType} must have encode and decode methods`);
+    }
+    codecs.set(normalize(contentType), codec);
+  }
+
+  /**
+   * Encode a message. Buffers are sent as binary content unless a content type is given, anything
+   * else as JSON.
+   *
+   * @param {*} value the message
+   * @param {Object} [properties] the message properties
+   * @param {String} [properties.contentType] the content type, selecting the codec
+   * @param {String} [properties.contentEncoding] 'gzip' to compress the content whatever its size
+   * @returns {Object} the encoded `content` and its `contentType` and `contentEncoding` properties
+   */
+  function encode(value, properties) {
+    properties = properties || {};
+    const contentType = properties.contentType || (Buffer.isBuffer(value) ? BINARY_TYPE : JSON_TYPE);
+    let content = getCodec(contentType).encode(value);
+    let contentEncoding = properties.contentEncoding;
+    if (contentEncoding === undefined && compression && content.length >= compression.threshold) {
+      contentEncoding = GZIP;
+    }
+
+    if (contentEncoding === GZIP) content = zlib.gzipSync(content);
+    else if (contentEncoding !== undefined) throw unsupportedEncoding(contentEncoding);
+
+    const result = { content, contentType };
+    if (contentEncoding !== undefined) result.contentEncoding = contentEncoding;
+    return result;
+  }
+
+  /**
+   * Decode a message content with the codec of its content type, JSON when it has none.
+   * The thrown errors hold the error of the codec as `cause`.
+   *
+   * @param {Buffer} content the message content
+   * @param {Object} [properties] the message properties
+   * @returns {*} the message
+   */
+  function decode(content, properties) {
+    properties = properties || {};
+    const contentType = properties.contentType || JSON_TYPE;
+    const codec = getCodec(contentType);
+
+    if (properties.contentEncoding === GZIP) {
+      try {
+        content = zlib.gunzipSync(content);
+      } catch (err) {
+        throw decodeError('Content is not a valid gzip', err);
+      }
+    } else if (properties.contentEncoding !== undefined && properties.contentEncoding !== 'identity') {
+      throw unsupportedEncoding(properties.contentEncoding);
+    }
+
+    try {
+      return codec.decode(content);
+    } catch (err) {
+      throw decodeError(`Content is not a valid ${codec.name || normalize(contentType)}`, err);
+    }
+  }
+
+  /**
+   * @param {String} contentType the content type
+   * @returns {Object} its codec
+   */
+  function getCodec(contentType) {
+    const codec = codecs.get(normalize(contentType));
+    if (!codec) throw new Error(`Content type ${contentType} is not supported`);
+    return codec;
+  }
+}
+
+/**
+ * @param {String} contentType a content type, possibly with parameters
+ * @returns {String} the content type without its parameters, in lower case
+ */
+function normalize(contentType) {
+  return contentType.split(';')[0].trim().toLowerCase();
+}
+
+/**
+ * @param {String} message the error message
+ * @param {Error} cause the error of the codec
+ * @returns {Error} the decoding error
+ */
+function decodeError(message, cause) {
+  const err = new Error(message);
+  err.cause = cause;
+  return err;
+}
+
+/**
+ * @param {String} contentEncoding the content encoding
+ * @returns {Error} the error
+ */
+function unsupportedEncoding(contentEncoding) {
+  return new Error(`Content encoding ${contentEncoding} is not supported`);
+}
+
+module.exports = { JSON_TYPE, BINARY_TYPE, createCodecRegistry };
@@ -0,0 +1,19 @@
+'use strict';
+
+const co = require('co');
+
+/**
+ * Call a handler written in any style the bus accepts: an async function, a function returning a
+ * Promise or a plain value, or a co generator function yielding Promises. Generator functions are
+ * still supported for the services written before the API returned Promises.
+ *
+ * @param {Function} fn the handler
+ * @param {Array} args the arguments of the call
+ * @returns {Promise} a native Promise of the value returned by the handler, rejected when it
+ * throws, even synchronously
+ */
+function call(fn, args) {
+  return new Promise(resolve => resolve(co.wrap(fn).apply(null, args)));
+}
+
+module.exports = { call };
@@ -0,0 +1,126 @@
+'use strict';
+
+const retry = require('./retry');
+const topic = require('./topic');
+
+const DEATH_HEADERS = [
+  'x-death',
+  'x-first-death-exchange', 'x-first-death-queue', 'x-first-death-reason',
+  'x-last-death-exchange', 'x-last-death-queue', 'x-last-death-reason'
+];
+
+/**
+ * Read the dead-lettering history RabbitMQ keeps in the `x-death` header: one entry per queue
+ * and reason, the most recent first.
+ *
+ * @param {Object} message the amqplib message
+ * @returns {Object[]} the deaths `{ queue, reason, count, exchange, routingKeys, time }`, where
+ * time is a Date, most recent first
+ */
+function getDeaths(message) {
+  const headers = message.properties.headers || {};
+  return (headers['x-death'] || []).map(death => ({
+    queue: death.queue,
+    reason: death.reason,
+    count: Number(death.count) || 0,
+    exchange: death.exchange,
+    routingKeys: death['routing-keys'] || [],
+    time: toDate(death.time)
+  }));
+}
+
+/**
+ * Find where a dead-lettered message was first published: the exchange, routing key and queue
+ * kept by the retry policy of the consumer, see lib/retry.js, or else the ones of its first death.
+ *
+ * @param {Object} message the amqplib message
+ * @returns {Object|null} the `exchange`, `routingKey` and `queue`, null if the message was not
+ * dead-lettered nor parked
+ */
+function getOrigin(message) {
+  const headers = message.properties.headers || {};
+  if (headers[retry.HEADERS.exchange] !== undefined) {
+    return {
+      exchange: headers[retry.HEADERS.exchange],
+      routingKey: headers[retry.HEADERS.routingKey],
+      queue: headers[retry.HEADERS.queue]
+    };
+  }
+  const deaths = getDeaths(message);
+  if (!deaths.length) return null;
+  const first = deaths[deaths.length - 1];
+  return {
+    exchange: headers['x-first-death-exchange'] === undefined ? first.exchange : headers['x-first-death-exchange'],
+    routingKey: first.routingKeys[0],
+    queue: headers['x-first-death-queue'] || first.queue
+  };
+}
+
+/**
+ * @param {Object} message the amqplib message
+ * @param {*} content the decoded content of the message
+ * @returns {Object} the dead letter `{ content, fields, properties, deaths, origin, error }`,
+ * where error is the message of the last handler error, when the retry policy parked it
+ */
+function describe(message, content) {
+  const headers = message.properties.headers || {};
+  return {
+    content,
+    fields: message.fields,
+    properties: message.properties,
+    deaths: getDeaths(message),
+    origin: getOrigin(message),
+    error: headers[retry.HEADERS.error]
+  };
+}
+
+/**
+ * Create the predicate of a dead letter filter. A dead letter matches when it matches every
+ * criterion given.
+ *
+ * @param {Object} [filter] the filter
+ * @param {String} [filter.routingKey] the original routing key, or a topic pattern
+ * @param {String} [filter.queue] the original queue
+ * @param {String|RegExp} [filter.error] a text contained in the handler error, or a pattern
+ * matching it
+ * @returns {Function} returns true if a dead letter matches the filter
+ */
+function createFilter(filter) {
+  filter = filter || {};
+  return deadLetter => {
+    const origin = deadLetter.origin || {};
+    if (filter.routingKey !== undefined && !topic.match(filter.routingKey, String(origin.routingKey))) return false;
+    if (filter.queue !== undefined && origin.queue !== filter.queue) return false;
+    if (filter.error !== undefined) {
+      const error = deadLetter.error === undefined ? '' : String(deadLetter.error);
+      if (filter.error instanceof RegExp ? !filter.error.test(error) : error.indexOf(filter.error) === -1) return false;
+    }
+    return true;
+  };
+}
+
+/**
+ * Build the properties used to publish a dead letter again where it was first published: the
+ * dead-lettering and retry headers are removed, so that it gets every attempt again.
+ *
+ * @param {Object} message the amqplib message
+ * @returns {Object} the publish options
+ */
+function replayOptions(message) {
+  const headers = Object.assign({}, message.properties.headers);
+  DEATH_HEADERS.forEach(name => delete headers[name]);
+  Object.keys(retry.HEADERS).forEach(name => delete headers[retry.HEADERS[name]]);
+  return Object.assign({}, message.properties, { headers });
+}
+
+/**
+ * @param {*} time an AMQP timestamp, in seconds, as decoded by amqplib
+ * @returns {Date|undefined} the date
+ */
+function toDate(time) {
+  if (time === undefined || time === null) return undefined;
+  const seconds = typeof time === 'object' && time.value !== undefined ? time.value : time;
+  return new Date(Number(seconds) * 1000);
+}
+
+module.exports = { getDeaths, getOrigin, describe, createFilter, replayOptions };
@@ -0,0 +1,139 @@
+'use strict';
+
+const DEFAULT_RETENTION = 24 * 3600 * 1000;
+const DEFAULT_MAX_SIZE = 10000;
+const DEFAULT_COLLECTION = 'amqp_bus_deduplication';
+
+/**
+ * Fill a deduplication policy with the default values.
+ *
+ * A deduplication store is any object with the methods:
+ * - has(key) : returns a Promise of true if the key was added and its retention is not over
+ * - add(key, retention) : returns a Promise resolved once the key is kept for `retention` ms
+ *
+ * @param {Object|Boolean} [dedup] the deduplication policy, `true` for an in-memory store
+ * @param {Object} [dedup.store] the store of the handled keys, an in-memory store by default
+ * @param {Function} [dedup.key] the key extractor, called with the message content, fields and
+ * properties, default to the message id
+ * @param {Number} [dedup.retention] how long a handled key is kept, in ms, default to 24 hours
+ * @returns {Object|null} the policy, null if there is no deduplication
+ */
+function createPolicy(dedup) {
+  if (!dedup) return null;
+  const policy = Object.assign({ retention: DEFAULT_RETENTION }, dedup === true ? {} : dedup);
+  policy.store = policy.store || createMemoryStore();
+  if (typeof policy.store.has !== 'function' || typeof policy.store.add !== 'function') {
+    throw new Error('The deduplication store must have has and add methods');
+  }
+  return policy;
+}
+
+/**
+ * @param {Object} policy the deduplication policy
+ * @param {*} content the decoded content of the message
+ * @param {Object} fields the fields of the message
+ * @param {Object} properties the properties of the message
+ * @returns {String|undefined} the deduplication key of the message, undefined if it has none
+ */
+function getKey(policy, content, fields, properties) {
+  const key = policy.key ? policy.key(content, fields, properties) : properties && properties.messageId;
+  if (key === undefined || key === null || key === '') return undefined;
+  return String(key);
+}
+
+/**
+ * Create an in-memory deduplication store. It forgets the least recently used keys beyond
+ * `maxSize` keys, and only deduplicates the messages of one process.
+ *
+ * @param {Object} [opts] various options
+ * @param {Number} [opts.maxSize] the maximum number of keys, default to 10000
+ * @returns {Object} the store
+ */
+function createMemoryStore(opts) {
+  const maxSize = (opts && opts.maxSize) || DEFAULT_MAX_SIZE;
+  // keys in least recently used order, with their expiry time
+  const keys = new Map();
+
+  return { has, add };
+
+  /**
+   * @param {String} key the key
+   * @returns {Promise} true if the key is kept
+   */
+  function has(key) {
+    const expiresAt = keys.get(key);
+    if (expiresAt === undefined) return Promise.resolve(false);
+    keys.delete(key);
+    if (expiresAt <= Date.now()) return Promise.resolve(false);
+    keys.set(key, expiresAt);
+    return Promise.resolve(true);
+  }
+
+  /**
+   * @param {String} key the key
+   * @param {Number} retention how long the key is kept, in ms
+   * @returns {Promise} resolved once the key is added
+   */
+  function add(key, retention) {
+    keys.delete(key);
+    keys.set(key, Date.now() + retention);
+    while (keys.size > maxSize) keys.delete(keys.keys().next().value);
+    return Promise.resolve();
+  }
+}
+
+/**
+ * Create a deduplication store in a MongoDB collection, shared by every process. The keys are
+ * documents `{ _id: key, expiresAt }`, removed by a TTL index once their retention is over.
+ *
+ * @param {Object} opts various options
+ * @param {Object|Promise} opts.db the MongoDB database, or a Promise of it like the one returned
+ * by `mongoHelper.getConnection(name)`
+ * @param {String} [opts.collection] the collection name, default to 'amqp_bus_deduplication'
+ * @returns {Object} the store
+ */
+function createMongoStore(opts) {
+  if (!opts || !opts.db) throw new Error('The MongoDB deduplication store needs a db');
+  const name = opts.collection || DEFAULT_COLLECTION;
+  let collection = null;
+
+  return { has, add };
+
+  /**
+   * @param {String} key the key
+   * @returns {Promise} true if the key is kept
+   */
+  function has(key) {
+    // the TTL monitor runs once a minute, the expired keys may not be removed yet
+    return getCollection()
+      .then(keys => keys.findOne({ _id: key, expiresAt: { $gt: new Date() } }))
+      .then(Boolean);
+  }
+
+  /**
+   * @param {String} key the key
+   * @param {Number} retention how long the key is kept, in ms
+   * @returns {Promise} resolved once the key is added
+   */
+  function add(key, retention) {
+    const expiresAt = new Date(Date.now() + retention);
+    return getCollection()
+      .then(keys => keys.updateOne({ _id: key }, { $set: { expiresAt } }, { upsert: true }));
+  }
+
+  /**
+   * @returns {Promise} the collection, with its TTL index created on first use
+   */
+  function getCollection() {
+    if (!collection) {
+      collection = Promise.resolve(opts.db).then(db => {
+        const keys = db.collection(name);
+        return keys.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 }).then(() => keys);
+      });
+      collection.catch(() => { collection = null; });
+    }
+    return collection;
+  }
+}
+
+module.exports = { createPolicy, getKey, createMemoryStore, createMongoStore };
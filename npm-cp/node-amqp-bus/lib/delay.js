@@ -0,0 +1,47 @@
+'use strict';
+
+const DEFAULT_PRECISION = 1000;
+
+/**
+ * Round a delay up to the precision of the delay buckets, so that messages are never delivered
+ * early and the number of buckets stays bounded.
+ *
+ * @param {Number} delay the delay in ms
+ * @param {Number} [precision] the precision in ms, default to 1000
+ * @returns {Number} the delay of the bucket, 0 if the message should not be delayed
+ */
+function bucketDelay(delay, precision) {
+  precision = precision || DEFAULT_PRECISION;
+  if (!(delay > 0)) return 0;
+  return Math.ceil(delay / precision) * precision;
+}
+
+/**
+ * A delay bucket is a fanout exchange and a queue of the same name: the routing key of the
+ * messages is kept while they wait.
+ *
+ * @param {String} exchange the target exchange
+ * @param {Number} delay the delay of the bucket in ms
+ * @returns {String} the name of the exchange and queue of the bucket
+ */
+function bucketName(exchange, delay) {
+  return `${exchange}.delay.${delay}`;
+}
+
+/**
+ * The bucket queue holds the messages for `delay` ms, then dead-letters them to the target
+ * exchange with their original routing key.
+ *
+ * @param {String} exchange the target exchange
+ * @param {Number} delay the delay of the bucket in ms
+ * @returns {Object} the options of the bucket queue
+ */
+function bucketQueueOptions(exchange, delay) {
+  return {
+    durable: true,
+    messageTtl: delay,
+    deadLetterExchange: exchange
+  };
+}
+
+module.exports = { bucketDelay, bucketName, bucketQueueOptions };
@@ -0,0 +1,56 @@
+'use strict';
+
+const crypto = require('crypto');
+
+const CAUSATION_HEADER = 'x-causation-id';
+
+/**
+ * @returns {String} a random identifier, for message ids and correlation ids
+ */
+function generateId() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Build the properties of a published message: the envelope holds a generated `messageId`, a
+ * `timestamp` in seconds, the `contentType` and the `appId` of the client.
+ *
+ * When the message is published while handling another one, pass the properties of the handled
+ * message as `causedBy`: the new message gets its `correlationId` (or its `messageId` if it has
+ * none) and its `messageId` in the `x-causation-id` header, so that a chain of messages can be
+ * traced across services.
+ *
+ * @param {Object} [opts] the publish options, they take precedence over the envelope
+ * @param {Object} [opts.causedBy] the properties of the message being handled
+ * @param {Object} [opts.headers] custom headers
+ * @param {String} [appId] the application publishing the message
+ * @returns {Object} the message properties
+ */
+function createProperties(opts, appId) {
+  opts = Object.assign({}, opts);
+  const causedBy = opts.causedBy;
+  delete opts.causedBy;
+
+  const properties = {
+    messageId: generateId(),
+    timestamp: Math.floor(Date.now() / 1000),
+    contentType: 'application/json',
+    appId
+  };
+  const headers = Object.assign({}, opts.headers);
+  if (causedBy) {
+    properties.correlationId = causedBy.correlationId || causedBy.messageId;
+    if (causedBy.messageId) headers[CAUSATION_HEADER] = causedBy.messageId;
+  }
+  return Object.assign(properties, opts, { headers });
+}
+
+/**
+ * @param {Object} properties the properties of a message
+ * @returns {String|undefined} the id of the message that caused it
+ */
+function getCausationId(properties) {
+  return (properties.headers || {})[CAUSATION_HEADER];
+}
+
+module.exports = { CAUSATION_HEADER, generateId, createProperties, getCausationId };
@@ -3,75 +3,322 @@
 const co = require('co');
 const EventEmitter = require('events');
 const createClient = require('./client');
+const topic = require('./topic');
+const shutdownOnSignals = require('./shutdown').shutdownOnSignals;
+const metrics = require('./metrics');
+const compose = require('./middleware').compose;
+const compat = require('./compat');
+
+const FORWARDED_EVENTS = [
+  'disconnected', 'reconnecting', 'reconnected', 'channel_closed', 'channel_reopened', 'validation_error',
+  'duplicate'
+];
+const QUEUE_OPTIONS = ['retry', 'prefetch', 'concurrency', 'dedup', 'timeout', 'partitions', 'sequential'];
 
 /**
  * Return a bus listener with helper methods to register listeners and listen to the bus' messages
  * The instance inherits EventEmitter and can emit following events :
  * - connected : when the listener is connected to the bus, takes no arguments
+ * - handle_error : when a message cannot be handled, or a handler added once the listener listens
+ *   cannot be bound or consumed
+ * - disconnected, reconnecting, reconnected, channel_closed, channel_reopened, validation_error,
+ *   duplicate : forwarded from the client
  *
  * @param {String} url Bus AMQP url
  * @param {Object} [options] options
  * @param {Object} [options.client] client to use
+ * @param {Object} [options.metrics] metrics sink, given to the client it creates, see lib/metrics.js
  * @return {Object} bus listener instance
  */
 function createListener(url, options) {
   options = options || {};
+  const sink = options.metrics || metrics.NOOP_SINK;
   const queues = [];
   const handlers = {};
+  const consumeOptions = {};
+  const schemas = [];
+  const codecs = [];
+  const routes = {};
+  const consumed = new Set();
+  const paused = new Set();
+  const middleware = [];
+  const queueMiddleware = {};
+  let defaultExchange;
+  let listenOptions;
 
   const instance = Object.assign(Object.create(EventEmitter.prototype), {
     queues,
     handlers,
     addHandler,
+    removeHandler,
+    use,
+    registerSchema,
+    registerCodec,
     listen: co.wrap(listen),
+    pause: co.wrap(pause),
+    resume: co.wrap(resume),
+    shutdown: co.wrap(shutdown),
+    shutdownOnSignals: opts => shutdownOnSignals(instance, opts),
     client: null
   });
   return instance;
 
   /**
-   * Register a new handler for a given queue and key
+   * Register a new handler for a given queue and key, replacing the one registered with the same
+   * exchange and key. A handler added once the listener listens is bound to its exchange at once,
+   * and its queue consumed if it is a new one.
+   *
    * @param {String} queue Queue
    * @param {String} key Key
-   * @param {Function} handler Handler
+   * @param {Function} handler Handler, an async function or a generator function
+   * @param {Object} [opts] Options of the handler, and of the queue passed to `client.consume`
+   * @param {String} [opts.exchange] Exchange bound to the queue with the key, default to the one
+   * given to `listen`
+   * @param {Object|Boolean} [opts.retry] Retry policy
+   * @param {Number} [opts.prefetch] Maximum number of unacknowledged messages
+   * @param {Number} [opts.concurrency] Maximum number of messages handled at the same time
+   * @param {Object|Boolean} [opts.dedup] Deduplication policy
+   * @param {Number} [opts.timeout] Delay after which a handler fails, in ms
+   * @param {Number} [opts.partitions] Number of partitions of the queue, see
+   * `client.setupPartitionedQueue`: the messages of a partition key are handled in order
+   * @param {Function|Boolean} [opts.sequential] Key of the messages handled in order, see
+   * `client.consume`
+   * @param {Function|Function[]} [opts.middleware] Middleware of this handler only, see `use`
+   * @returns {Promise} resolved once the handler is bound, at once before `listen`; when the bind or
+   * the consume fails, it is rejected and the error is emitted as `handle_error`
    */
-  function addHandler(queue, key, handler) {
+  function addHandler(queue, key, handler, opts) {
+    opts = opts || {};
     if (!handlers[queue]) {
       queues.push(queue);
       handlers[queue] = {};
+      routes[queue] = [];
+      consumeOptions[queue] = {};
     }
+    const pipeline = compose([].concat(opts.middleware || []));
+    const existing = routes[queue].find(route => route.key === key && route.exchange === opts.exchange);
+    if (existing) Object.assign(existing, { handler, pipeline });
+    else routes[queue].push({ exchange: opts.exchange, key, handler, pipeline, boundExchange: null });
     handlers[queue][key] = handler;
+    QUEUE_OPTIONS
+      .filter(name => opts[name] !== undefined)
+      .forEach(name => { consumeOptions[queue][name] = opts[name]; });
+
+    if (!instance.client) return Promise.resolve();
+    const setup = co(setupQueue(queue));
+    // the caller may not wait for the setup, its failure is emitted as well
+    setup.catch(err => instance.emit('handle_error', err, { err, queue, key }));
+    return setup;
+  }
+
+  /**
+   * Remove the handler of a queue and key, and unbind the key from its exchange once the listener
+   * listens. The queue is still consumed: its messages left with this key are unhandled.
+   *
+   * @param {String} queue Queue
+   * @param {String} key Key
+   * @param {String} [exchange] Exchange given to `addHandler`
+   * @returns {Promise} resolved once the key is unbound
+   */
+  function removeHandler(queue, key, exchange) {
+    const index = (routes[queue] || []).findIndex(route => route.key === key && route.exchange === exchange);
+    if (index === -1) return Promise.resolve();
+    const route = routes[queue].splice(index, 1)[0];
+    const remaining = routes[queue].filter(item => item.key === key);
+    if (remaining.length) handlers[queue][key] = remaining[remaining.length - 1].handler;
+    else delete handlers[queue][key];
+
+    if (!route.boundExchange || !instance.client) return Promise.resolve();
+    return instance.client.unbindQueue(route.boundExchange, queue, key);
+  }
+
+  /**
+   * Add a middleware to the pipeline of every handler, or of the handlers of a queue. Middleware
+   * is called with a context and a `next` function, in the order it was added: the listener
+   * middleware, then the queue middleware, then the handler middleware. The context holds the
+   * `queue`, the decoded `message`, its `fields` and `properties`, the cancellation `signal` of the
+   * handling, and the `handler` found for its routing key, undefined when the message is
+   * unhandled. A middleware can replace `ctx.message`, or stop the pipeline by not calling `next`:
+   * the message is then acknowledged without being handled.
+   *
+   * @param {String} [queue] Queue, the middleware applies to every queue when omitted
+   * @param {Function} fn Middleware, an async function or a generator function
+   * @returns {Object} the listener
+   */
+  function use(queue, fn) {
+    if (fn === undefined) {
+      fn = queue;
+      queue = undefined;
+    }
+    if (typeof fn !== 'function') throw new Error('A middleware must be a function');
+    if (queue === undefined) middleware.push(fn);
+    else queueMiddleware[queue] = (queueMiddleware[queue] || []).concat(fn);
+    return instance;
   }
 
   /**
-   * Start listening on registered handlers.
-   * You should not override an existing handler after listen
+   * Register the JSON schema of the messages published on an exchange with a key, see
+   * `client.registerSchema`. Messages that do not match their schema are not handled.
    *
    * @param {String} exchange Exchange name
-   * @param {Object} opts A set of options passed to `client.setupQueue`
+   * @param {String} key Key or topic pattern
+   * @param {Object} schema JSON schema
+   * @returns {void}
+   */
+  function registerSchema(exchange, key, schema) {
+    if (instance.client) instance.client.registerSchema(exchange, key, schema);
+    else schemas.push([exchange, key, schema]);
+  }
+
+  /**
+   * Register the codec of a content type, see `client.registerCodec`.
+   *
+   * @param {String} contentType Content type
+   * @param {Object} codec Codec, with `encode` and `decode` methods
+   * @returns {void}
+   */
+  function registerCodec(contentType, codec) {
+    if (instance.client) instance.client.registerCodec(contentType, codec);
+    else codecs.push([contentType, codec]);
+  }
+
+  /**
+   * Start listening on registered handlers: bind every queue and key to its exchange and consume
+   * the queues. Calling it again binds and consumes what was registered since, with its exchange
+   * as default.
+   *
+   * @param {String} [exchange] Exchange name, the default one of the handlers registered without
+   * an exchange
+   * @param {Object} [opts] A set of options passed to `client.setupQueue` and `client.consume`,
+   * the options given to `addHandler` take precedence
+   * @returns {void}
    */
   function* listen(exchange, opts) {
-    if (instance.client) return;
-    instance.client = options.client || (yield createClient(url));
-    instance.emit('connect');
+    defaultExchange = exchange || defaultExchange;
+    listenOptions = opts || listenOptions;
+    if (!instance.client) {
+      instance.client = options.client || (yield createClient(url, { metrics: options.metrics }));
+      instance.emit('connect');
 
-    instance.client.on('consume_error', (err, metadata) => instance.emit('handle_error', err, metadata));
+      instance.client.on('consume_error', (err, metadata) => instance.emit('handle_error', err, metadata));
+      FORWARDED_EVENTS.forEach(event => {
+        instance.client.on(event, (...args) => instance.emit(event, ...args));
+      });
+      schemas.forEach(args => instance.client.registerSchema(...args));
+      codecs.forEach(args => instance.client.registerCodec(...args));
+    }
 
     for (const queue of queues) {
-      for (const key of Object.keys(handlers[queue])) {
-        yield instance.client.setupQueue(exchange, queue, key, opts);
+      yield setupQueue(queue);
+    }
+  }
+
+  /**
+   * Bind the keys of a queue not bound yet, and consume it if it is not yet and is not paused. A
+   * queue with partitions is bound and consumed through them.
+   *
+   * @param {String} queue Queue
+   * @returns {void}
+   */
+  function* setupQueue(queue) {
+    const queueOptions = Object.assign({}, listenOptions, consumeOptions[queue]);
+    for (const route of routes[queue].filter(item => !item.boundExchange)) {
+      const exchange = route.exchange || defaultExchange;
+      if (!exchange) throw new Error(`The handler of ${queue} and ${route.key} has no exchange`);
+      route.boundExchange = exchange;
+      try {
+        if (queueOptions.partitions) {
+          yield instance.client.setupPartitionedQueue(exchange, queue, route.key, queueOptions);
+        } else {
+          yield instance.client.setupQueue(exchange, queue, route.key, listenOptions);
+        }
+      } catch (err) {
+        route.boundExchange = null;
+        throw err;
       }
-      yield instance.client.consume(queue, createConsumeHandler(queue));
     }
+    if (consumed.has(queue) || paused.has(queue)) return;
+    consumed.add(queue);
+    const handler = createConsumeHandler(queue);
+    if (queueOptions.partitions) yield instance.client.consumePartitioned(queue, handler, queueOptions);
+    else yield instance.client.consume(queue, handler, queueOptions);
+  }
+
+  /**
+   * Stop consuming a queue, see `client.pause`. A queue paused before `listen` is not consumed
+   * until it is resumed.
+   *
+   * @param {String} queue Queue
+   * @returns {void}
+   */
+  function* pause(queue) {
+    paused.add(queue);
+    if (consumed.has(queue)) yield instance.client.pause(queue);
+  }
+
+  /**
+   * Consume a paused queue again, see `client.resume`.
+   *
+   * @param {String} queue Queue
+   * @returns {void}
+   */
+  function* resume(queue) {
+    if (!paused.delete(queue) || !instance.client) return;
+    if (consumed.has(queue)) yield instance.client.resume(queue);
+    else if (routes[queue]) yield setupQueue(queue);
+  }
+
+  /**
+   * Shut the client down gracefully, see `client.shutdown`.
+   * The client is shut down even if it was given in the options.
+   *
+   * @param {Object} [opts] Options passed to `client.shutdown`
+   * @returns {Boolean} true if every handler was over before the timeout
+   */
+  function* shutdown(opts) {
+    if (!instance.client) return true;
+    return yield instance.client.shutdown(opts);
+  }
+
+  /**
+   * Find the handler of a message: the one registered with its exact routing key, or else the one
+   * with the most specific matching topic pattern (`*` and `#` wildcards). When the queue is bound
+   * to several exchanges, only the handlers of the exchange of the message are considered.
+   *
+   * @param {String} queue Queue
+   * @param {Object} fields Fields of the message, with its exchange and routing key
+   * @returns {Object|undefined} the route of the handler
+   */
+  function findRoute(queue, fields) {
+    if (typeof fields.routingKey !== 'string') return undefined;
+    let candidates = routes[queue].filter(route => route.boundExchange);
+    if (new Set(candidates.map(route => route.boundExchange)).size > 1) {
+      candidates = candidates.filter(route => route.boundExchange === fields.exchange);
+    }
+    const key = topic.findBestMatch(candidates.map(route => route.key), fields.routingKey);
+    return candidates.find(route => route.key === key);
   }
 
+  /**
+   * @param {String} queue Queue
+   * @returns {Function} the consume handler, running the middleware pipeline of the messages of
+   * the queue and dispatching them to the handlers
+   */
   function createConsumeHandler(queue) {
-    return (message, fields) => {
-      let handler = handlers[queue][fields.routingKey];
-      if (!handler) {
-        handler = () => Promise.resolve();
-        instance.emit('unhandle', queue, message, fields);
-      }
-      return co.wrap(handler)(message, fields);
+    return (message, fields, properties, signal) => {
+      const route = findRoute(queue, fields);
+      const ctx = { queue, message, fields, properties, signal, handler: route && route.handler };
+      const pipeline = compose(middleware.concat(queueMiddleware[queue] || []));
+      const handlerPipeline = route ? route.pipeline : compose([]);
+
+      return pipeline(ctx, () => {
+        if (!ctx.handler) {
+          sink.increment(metrics.METRICS.unhandled.name, { queue });
+          instance.emit('unhandle', queue, ctx.message, ctx.fields);
+          return Promise.resolve();
+        }
+        return handlerPipeline(ctx, () => compat.call(ctx.handler, [ctx.message, ctx.fields, ctx.properties, ctx.signal]));
+      });
     };
   }
 }
@@ -0,0 +1,865 @@
+'use strict';
+
+const EventEmitter = require('events');
+const co = require('co');
+const createClient = require('./client');
+const codecs = require('./codecs');
+const declarative = require('./topology');
+const topic = require('./topic');
+
+const REPLY_QUEUE = 'amq.rabbitmq.reply-to';
+const PROPERTIES = [
+  'contentType', 'contentEncoding', 'headers', 'deliveryMode', 'priority', 'correlationId',
+  'replyTo', 'expiration', 'messageId', 'timestamp', 'type', 'userId', 'appId', 'clusterId'
+];
+
+/**
+ * Return an in-memory AMQP broker, to test bus consumers and publishers without RabbitMQ.
+ *
+ * The broker implements the part of the amqplib connection and channel API used by the bus
+ * client: direct, topic, fanout and headers exchanges, exchange to exchange bindings, queues with
+ * TTL, max length, dead-lettering and a single active consumer, prefetch, ack / nack / requeue,
+ * confirm channels and the direct reply-to queue. `broker.createClient()` returns a regular bus client using it as transport.
+ *
+ * Channel errors behave like RabbitMQ ones: checking a missing queue, publishing to a missing
+ * exchange or acknowledging an unknown delivery tag closes the channel.
+ *
+ * @returns {Object} the broker
+ */
+function createMemoryBroker() {
+  const exchanges = new Map();
+  const queues = new Map();
+  const connections = new Set();
+  const published = [];
+  const drainWaiters = [];
+  const codecRegistry = codecs.createCodecRegistry();
+  let lastId = 0;
+
+  const broker = {
+    exchanges,
+    queues,
+    connect,
+    createClient: options => createClient('memory://', Object.assign({}, options, { transport: broker })),
+    assertTopology: co.wrap(assertTopology),
+    registerCodec: codecRegistry.register,
+    published: getPublished,
+    messages: getMessages,
+    waitForDrain,
+    disconnect,
+    reset
+  };
+  reset();
+  return broker;
+
+  /**
+   * Remove every exchange, queue and published message. Connections are left open.
+   *
+   * @returns {void}
+   */
+  function reset() {
+    exchanges.clear();
+    queues.clear();
+    published.length = 0;
+    exchanges.set('', { name: '', type: 'direct', bindings: [] });
+    ['direct', 'topic', 'fanout'].forEach(type => {
+      exchanges.set(`amq.${type}`, { name: `amq.${type}`, type, bindings: [] });
+    });
+  }
+
+  /**
+   * Declare a topology definition on the broker, see lib/topology.js. Use the same definition as
+   * the tested service to declare its queues before publishing to them.
+   *
+   * @param {Object} definition the topology definition
+   * @returns {void}
+   */
+  function* assertTopology(definition) {
+    const normalized = declarative.normalize(definition);
+    const connection = yield connect();
+    try {
+      const channel = yield connection.createChannel();
+      yield declarative.assert(channel, normalized);
+    } finally {
+      yield connection.close();
+    }
+  }
+
+  /**
+   * Open a connection, like `amqplib.connect`.
+   *
+   * @returns {Promise} the connection
+   */
+  function connect() {
+    const connection = Object.assign(new EventEmitter(), {
+      channels: new Set(),
+      closed: false,
+      createChannel: () => Promise.resolve(createChannel(connection, false)),
+      createConfirmChannel: () => Promise.resolve(createChannel(connection, true)),
+      close: () => {
+        if (connection.closed) return Promise.reject(new Error('Connection closed'));
+        closeConnection(connection);
+        return Promise.resolve();
+      }
+    });
+    connections.add(connection);
+    return Promise.resolve(connection);
+  }
+
+  /**
+   * Simulate a connection loss: every connection is closed with an error.
+   *
+   * @returns {void}
+   */
+  function disconnect() {
+    [...connections].forEach(connection => {
+      closeConnection(connection, new Error('Connection closed: 320 (CONNECTION-FORCED)'));
+    });
+  }
+
+  /**
+   * @param {Object} connection the connection
+   * @param {Error} [err] the error that closed it
+   * @returns {void}
+   */
+  function closeConnection(connection, err) {
+    if (connection.closed) return;
+    connection.closed = true;
+    connections.delete(connection);
+    [...connection.channels].forEach(channel => channel.terminate());
+    queues.forEach(queue => {
+      if (queue.owner === connection) deleteQueue(queue.name);
+    });
+    if (err) connection.emit('error', err);
+    connection.emit('close', err);
+  }
+
+  /**
+   * @param {Object} connection the connection of the channel
+   * @param {Boolean} confirm true for a confirm channel
+   * @returns {Object} a channel implementing the amqplib channel API
+   */
+  function createChannel(connection, confirm) {
+    const id = ++lastId;
+    const unacked = new Map();
+    const consumers = new Map();
+    const replyQueue = `${REPLY_QUEUE}.${id}`;
+    let deliveryTag = 0;
+    let prefetchCount = 0;
+
+    const channel = Object.assign(new EventEmitter(), {
+      closed: false,
+      assertExchange: (name, type, options) => run(() => {
+        const existing = exchanges.get(name);
+        if (existing && existing.type !== type) {
+          throw channelError(406, `PRECONDITION_FAILED - inequivalent arg 'type' for exchange '${name}'`);
+        }
+        if (existing && isDurable(existing.options) !== isDurable(options)) {
+          throw channelError(406, `PRECONDITION_FAILED - inequivalent arg 'durable' for exchange '${name}'`);
+        }
+        if (!existing) exchanges.set(name, { name, type, options: options || {}, bindings: [] });
+        return { exchange: name };
+      }),
+      checkExchange: name => run(() => {
+        getExchange(name);
+        return {};
+      }),
+      deleteExchange: name => run(() => {
+        exchanges.delete(name);
+        exchanges.forEach(exchange => {
+          exchange.bindings = exchange.bindings.filter(binding => binding.exchange !== name);
+        });
+        return {};
+      }),
+      assertQueue: (name, options) => run(() => {
+        name = name || `amq.gen-${++lastId}`;
+        let queue = queues.get(name);
+        if (!queue) {
+          queue = createQueue(name, options || {}, connection);
+          queues.set(name, queue);
+          exchanges.get('').bindings.push({ queue: name, pattern: name });
+        } else {
+          assertEquivalent(queue, createQueue(name, options || {}, connection));
+        }
+        return { queue: name, messageCount: queue.ready.length, consumerCount: queue.consumers.length };
+      }),
+      checkQueue: name => run(() => {
+        const queue = getQueue(name);
+        return { queue: name, messageCount: queue.ready.length, consumerCount: queue.consumers.length };
+      }),
+      deleteQueue: name => run(() => ({ messageCount: deleteQueue(name) })),
+      purgeQueue: name => run(() => {
+        const queue = getQueue(name);
+        const messageCount = queue.ready.length;
+        queue.ready.forEach(clearExpiration);
+        queue.ready = [];
+        notify();
+        return { messageCount };
+      }),
+      bindQueue: (name, source, pattern, args) => run(() => {
+        getQueue(name);
+        bind(getExchange(source), { queue: name, pattern, args: args || {} });
+        return {};
+      }),
+      unbindQueue: (name, source, pattern) => run(() => {
+        unbind(getExchange(source), { queue: name, pattern });
+        return {};
+      }),
+      bindExchange: (destination, source, pattern, args) => run(() => {
+        getExchange(destination);
+        bind(getExchange(source), { exchange: destination, pattern, args: args || {} });
+        return {};
+      }),
+      unbindExchange: (destination, source, pattern) => run(() => {
+        unbind(getExchange(source), { exchange: destination, pattern });
+        return {};
+      }),
+      prefetch: count => run(() => {
+        prefetchCount = count || 0;
+        return {};
+      }),
+      consume: (name, onMessage, options) => run(() => {
+        options = options || {};
+        const queue = getQueue(name === REPLY_QUEUE ? replyQueue : name, name === REPLY_QUEUE);
+        const consumerTag = options.consumerTag || `amq.ctag-${++lastId}`;
+        const consumer = {
+          consumerTag,
+          queue,
+          onMessage,
+          noAck: !!options.noAck,
+          prefetch: prefetchCount,
+          unacked: 0,
+          channel
+        };
+        consumer.deliver = entry => deliver(queue, entry, consumer, consumer.noAck);
+        consumers.set(consumerTag, consumer);
+        queue.consumers.push(consumer);
+        schedule(queue);
+        return { consumerTag };
+      }),
+      cancel: consumerTag => run(() => {
+        cancelConsumer(consumers.get(consumerTag));
+        return { consumerTag };
+      }),
+      get: (name, options) => run(() => {
+        const queue = getQueue(name);
+        const entry = queue.ready.shift();
+        if (!entry) return false;
+        clearExpiration(entry);
+        const message = deliver(queue, entry, null, options && options.noAck);
+        message.fields.messageCount = queue.ready.length;
+        notify();
+        return message;
+      }),
+      publish: (exchange, routingKey, content, options, callback) => {
+        assertOpen();
+        const properties = pickProperties(options);
+        if (properties.replyTo === REPLY_QUEUE) properties.replyTo = replyQueue;
+        published.push({ exchange, routingKey, content, properties });
+        if (!exchanges.has(exchange)) {
+          setImmediate(() => fail(channelError(404, `NOT_FOUND - no exchange '${exchange}'`)));
+        } else {
+          route(exchange, routingKey, { content, properties, exchange, routingKey });
+        }
+        if (confirm && callback) setImmediate(() => callback(null));
+        return true;
+      },
+      sendToQueue: (queue, content, options, callback) => channel.publish('', queue, content, options, callback),
+      ack: (message, allUpTo) => settle(message, allUpTo, () => null),
+      ackAll: () => settle(null, true, () => null),
+      nack: (message, allUpTo, requeue) => settle(message, allUpTo, entry => reject(entry, requeue !== false)),
+      nackAll: requeue => settle(null, true, entry => reject(entry, requeue !== false)),
+      reject: (message, requeue) => settle(message, false, entry => reject(entry, requeue !== false)),
+      waitForConfirms: () => run(() => new Promise(resolve => setImmediate(resolve))),
+      close: () => {
+        if (channel.closed) return Promise.reject(new Error('Channel closed'));
+        channel.terminate();
+        return Promise.resolve();
+      },
+
+      /**
+       * Close the channel: its consumers are cancelled and its unacknowledged messages requeued.
+       *
+       * @param {Error} [err] the channel error
+       * @returns {void}
+       */
+      terminate(err) {
+        if (channel.closed) return;
+        channel.closed = true;
+        connection.channels.delete(channel);
+        [...consumers.values()].forEach(cancelConsumer);
+        [...unacked.values()].forEach(entry => reject(entry, true));
+        if (queues.has(replyQueue)) deleteQueue(replyQueue);
+        if (err) channel.emit('error', err);
+        channel.emit('close');
+      }
+    });
+    connection.channels.add(channel);
+    return channel;
+
+    /**
+     * Run an operation asynchronously, a failure closes the channel like a RabbitMQ channel error.
+     *
+     * @param {Function} operation the operation
+     * @returns {Promise} the operation result
+     */
+    function run(operation) {
+      try {
+        assertOpen();
+        return Promise.resolve(operation());
+      } catch (err) {
+        if (err.code) setImmediate(() => fail(err));
+        return Promise.reject(err);
+      }
+    }
+
+    /**
+     * @returns {void}
+     */
+    function assertOpen() {
+      if (channel.closed) throw new Error('Channel closed');
+    }
+
+    /**
+     * @param {Error} err the channel error
+     * @returns {void}
+     */
+    function fail(err) {
+      channel.terminate(err);
+    }
+
+    /**
+     * @param {String} name the exchange name
+     * @returns {Object} the exchange
+     */
+    function getExchange(name) {
+      const exchange = exchanges.get(name);
+      if (!exchange) throw channelError(404, `NOT_FOUND - no exchange '${name}'`);
+      return exchange;
+    }
+
+    /**
+     * @param {String} name the queue name
+     * @param {Boolean} [create] create the queue if it does not exist
+     * @returns {Object} the queue
+     */
+    function getQueue(name, create) {
+      if (create && !queues.has(name)) {
+        queues.set(name, createQueue(name, { exclusive: true }, connection));
+        exchanges.get('').bindings.push({ queue: name, pattern: name });
+      }
+      const queue = queues.get(name);
+      if (!queue) throw channelError(404, `NOT_FOUND - no queue '${name}'`);
+      return queue;
+    }
+
+    /**
+     * Hand a message over to a consumer, or to `get`.
+     *
+     * @param {Object} queue the queue
+     * @param {Object} entry the queued message
+     * @param {Object} [consumer] the consumer
+     * @param {Boolean} [noAck] true if the message does not need to be acknowledged
+     * @returns {Object} the amqplib message
+     */
+    function deliver(queue, entry, consumer, noAck) {
+      const tag = ++deliveryTag;
+      if (!noAck) {
+        unacked.set(tag, { queue, entry, consumer, tag });
+        if (consumer) consumer.unacked++;
+      }
+      return {
+        content: entry.content,
+        fields: {
+          consumerTag: consumer ? consumer.consumerTag : undefined,
+          deliveryTag: tag,
+          redelivered: entry.redelivered,
+          exchange: entry.exchange,
+          routingKey: entry.routingKey
+        },
+        properties: Object.assign({}, entry.properties, {
+          headers: Object.assign({}, entry.properties.headers)
+        })
+      };
+    }
+
+    /**
+     * Acknowledge or reject messages by delivery tag.
+     *
+     * @param {Object} message the message, null for every message
+     * @param {Boolean} allUpTo true to settle every message up to this one
+     * @param {Function} action the action applied to each message
+     * @returns {void}
+     */
+    function settle(message, allUpTo, action) {
+      assertOpen();
+      const tag = message ? message.fields.deliveryTag : Infinity;
+      if (message && !unacked.has(tag)) {
+        setImmediate(() => fail(channelError(406, `PRECONDITION_FAILED - unknown delivery tag ${tag}`)));
+        return;
+      }
+      const entries = allUpTo ?
+        [...unacked.values()].filter(item => item.tag <= tag) :
+        [unacked.get(tag)];
+      entries.forEach(item => {
+        unacked.delete(item.tag);
+        if (item.consumer) {
+          item.consumer.unacked--;
+          schedule(item.consumer.queue);
+        }
+        action(item);
+      });
+      notify();
+    }
+
+    /**
+     * @param {Object} item the unacknowledged message
+     * @param {Boolean} requeue true to requeue the message, false to dead-letter or drop it
+     * @returns {void}
+     */
+    function reject(item, requeue) {
+      unacked.delete(item.tag);
+      if (!queues.has(item.queue.name)) return;
+      if (!requeue) {
+        deadLetter(item.queue, item.entry, 'rejected');
+        return;
+      }
+      item.entry.redelivered = true;
+      item.queue.ready.unshift(item.entry);
+      armExpiration(item.queue, item.entry);
+      schedule(item.queue);
+    }
+
+    /**
+     * @param {Object} [consumer] the consumer to cancel
+     * @returns {void}
+     */
+    function cancelConsumer(consumer) {
+      if (!consumer) return;
+      consumers.delete(consumer.consumerTag);
+      const queue = consumer.queue;
+      queue.consumers = queue.consumers.filter(item => item !== consumer);
+      if (queue.options.autoDelete && !queue.consumers.length && queues.get(queue.name) === queue) {
+        deleteQueue(queue.name);
+      }
+    }
+  }
+
+  /**
+   * @param {String} name the queue name
+   * @param {Object} options the queue options, as given to amqplib's assertQueue
+   * @param {Object} connection the connection declaring the queue
+   * @returns {Object} the queue
+   */
+  function createQueue(name, options, connection) {
+    const args = Object.assign({}, options.arguments);
+    const setArgument = (key, value) => { if (value !== undefined) args[key] = value; };
+    setArgument('x-message-ttl', options.messageTtl);
+    setArgument('x-dead-letter-exchange', options.deadLetterExchange);
+    setArgument('x-dead-letter-routing-key', options.deadLetterRoutingKey);
+    setArgument('x-max-length', options.maxLength);
+    return {
+      name,
+      options,
+      arguments: args,
+      owner: options.exclusive ? connection : null,
+      ready: [],
+      consumers: [],
+      nextConsumer: 0,
+      scheduled: false
+    };
+  }
+
+  /**
+   * @param {String} name the queue name
+   * @returns {Number} the number of messages deleted with the queue
+   */
+  function deleteQueue(name) {
+    const queue = queues.get(name);
+    if (!queue) return 0;
+    queues.delete(name);
+    queue.ready.forEach(clearExpiration);
+    exchanges.forEach(exchange => {
+      exchange.bindings = exchange.bindings.filter(binding => binding.queue !== name);
+    });
+    notify();
+    return queue.ready.length;
+  }
+
+  /**
+   * @param {Object} exchange the source exchange
+   * @param {Object} binding the binding, to a queue or an exchange
+   * @returns {void}
+   */
+  function bind(exchange, binding) {
+    const exists = exchange.bindings.some(item => item.queue === binding.queue &&
+      item.exchange === binding.exchange && item.pattern === binding.pattern);
+    if (!exists) exchange.bindings.push(binding);
+  }
+
+  /**
+   * @param {Object} exchange the source exchange
+   * @param {Object} binding the binding to remove
+   * @returns {void}
+   */
+  function unbind(exchange, binding) {
+    exchange.bindings = exchange.bindings.filter(item => item.queue !== binding.queue ||
+      item.exchange !== binding.exchange || item.pattern !== binding.pattern);
+  }
+
+  /**
+   * Route a message to the queues bound to an exchange, following exchange to exchange bindings.
+   * Unroutable messages are dropped.
+   *
+   * @param {String} exchangeName the exchange name
+   * @param {String} routingKey the routing key
+   * @param {Object} message the content and properties of the message, with the exchange and
+   * routing key it was first published with
+   * @param {Set} [visited] the exchanges already visited, to stop binding loops
+   * @returns {void}
+   */
+  function route(exchangeName, routingKey, message, visited) {
+    visited = visited || new Set();
+    const exchange = exchanges.get(exchangeName);
+    if (!exchange || visited.has(exchangeName)) return;
+    visited.add(exchangeName);
+
+    const matchingQueues = new Set();
+    exchange.bindings
+      .filter(binding => matches(exchange.type, binding, routingKey, message.properties.headers))
+      .forEach(binding => {
+        if (binding.queue !== undefined) matchingQueues.add(binding.queue);
+        else route(binding.exchange, routingKey, message, visited);
+      });
+    matchingQueues.forEach(name => enqueue(queues.get(name), Object.assign({}, message)));
+  }
+
+  /**
+   * @param {String} type the exchange type
+   * @param {Object} binding the binding, with its pattern and arguments
+   * @param {String} routingKey the routing key
+   * @param {Object} [headers] the headers of the message
+   * @returns {Boolean} true if the message matches the binding
+   */
+  function matches(type, binding, routingKey, headers) {
+    if (type === 'fanout') return true;
+    if (type === 'topic') return topic.match(binding.pattern, routingKey);
+    if (type === 'headers') return matchesHeaders(binding.args || {}, headers || {});
+    return binding.pattern === routingKey;
+  }
+
+  /**
+   * @param {Object} queue the queue
+   * @param {Object} message the message
+   * @returns {void}
+   */
+  function enqueue(queue, message) {
+    if (!queue) return;
+    const entry = {
+      content: message.content,
+      properties: message.properties,
+      exchange: message.exchange,
+      routingKey: message.routingKey,
+      redelivered: false
+    };
+    const ttls = [queue.arguments['x-message-ttl'], message.properties.expiration]
+      .filter(ttl => ttl !== undefined)
+      .map(Number);
+    if (ttls.length) entry.expiresAt = Date.now() + Math.min(...ttls);
+
+    queue.ready.push(entry);
+    const maxLength = queue.arguments['x-max-length'];
+    if (maxLength !== undefined && queue.ready.length > maxLength) {
+      const dropped = queue.ready.shift();
+      clearExpiration(dropped);
+      deadLetter(queue, dropped, 'maxlen');
+    }
+    armExpiration(queue, entry);
+    schedule(queue);
+    notify();
+  }
+
+  /**
+   * @param {Object} queue the queue
+   * @param {Object} entry the queued message
+   * @returns {void}
+   */
+  function armExpiration(queue, entry) {
+    if (entry.expiresAt === undefined) return;
+    clearExpiration(entry);
+    entry.timer = setTimeout(() => {
+      const index = queue.ready.indexOf(entry);
+      if (index === -1) return;
+      queue.ready.splice(index, 1);
+      deadLetter(queue, entry, 'expired');
+      notify();
+    }, Math.max(0, entry.expiresAt - Date.now()));
+    if (entry.timer.unref) entry.timer.unref();
+  }
+
+  /**
+   * @param {Object} entry the queued message
+   * @returns {void}
+   */
+  function clearExpiration(entry) {
+    clearTimeout(entry.timer);
+    entry.timer = null;
+  }
+
+  /**
+   * Republish a rejected, expired or dropped message to the dead letter exchange of its queue,
+   * with an `x-death` header and the `x-first-death-*` headers, like RabbitMQ.
+   *
+   * @param {Object} queue the queue
+   * @param {Object} entry the queued message
+   * @param {String} reason 'rejected', 'expired' or 'maxlen'
+   * @returns {void}
+   */
+  function deadLetter(queue, entry, reason) {
+    const deadLetterExchange = queue.arguments['x-dead-letter-exchange'];
+    if (deadLetterExchange === undefined) return;
+
+    const headers = Object.assign({}, entry.properties.headers);
+    const deaths = (headers['x-death'] || []).slice();
+    const index = deaths.findIndex(death => death.queue === queue.name && death.reason === reason);
+    const death = index === -1 ?
+      { count: 0, reason, queue: queue.name, exchange: entry.exchange, 'routing-keys': [entry.routingKey] } :
+      deaths.splice(index, 1)[0];
+    deaths.unshift(Object.assign({}, death, { count: death.count + 1, time: Math.floor(Date.now() / 1000) }));
+    headers['x-death'] = deaths;
+    if (headers['x-first-death-queue'] === undefined) {
+      Object.assign(headers, {
+        'x-first-death-exchange': entry.exchange,
+        'x-first-death-queue': queue.name,
+        'x-first-death-reason': reason
+      });
+    }
+
+    const properties = Object.assign({}, entry.properties, { headers });
+    delete properties.expiration;
+    const routingKey = queue.arguments['x-dead-letter-routing-key'] || entry.routingKey;
+    route(deadLetterExchange, routingKey, { content: entry.content, properties, exchange: deadLetterExchange, routingKey });
+  }
+
+  /**
+   * Deliver the ready messages of a queue to its consumers, on the next tick.
+   *
+   * @param {Object} queue the queue
+   * @returns {void}
+   */
+  function schedule(queue) {
+    if (queue.scheduled) return;
+    queue.scheduled = true;
+    setImmediate(() => {
+      queue.scheduled = false;
+      dispatch(queue);
+    });
+  }
+
+  /**
+   * Deliver the ready messages of a queue to its consumers, round robin, within their prefetch.
+   *
+   * @param {Object} queue the queue
+   * @returns {void}
+   */
+  function dispatch(queue) {
+    while (queue.ready.length && queues.get(queue.name) === queue) {
+      const consumer = nextConsumer(queue);
+      if (!consumer) return;
+      const entry = queue.ready.shift();
+      clearExpiration(entry);
+      const message = consumer.deliver(entry);
+      try {
+        consumer.onMessage(message);
+      } catch (err) {
+        consumer.channel.emit('error', err);
+      }
+    }
+    notify();
+  }
+
+  /**
+   * @param {Object} queue the queue
+   * @returns {Object|undefined} the next consumer able to receive a message
+   */
+  function nextConsumer(queue) {
+    if (queue.arguments['x-single-active-consumer']) {
+      const active = queue.consumers[0];
+      return active && canReceive(active) ? active : undefined;
+    }
+    for (let i = 0; i < queue.consumers.length; i++) {
+      const index = (queue.nextConsumer + i) % queue.consumers.length;
+      const consumer = queue.consumers[index];
+      if (canReceive(consumer)) {
+        queue.nextConsumer = index + 1;
+        return consumer;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Decode the content of a message with the codec of its content type, when possible.
+   *
+   * @param {Buffer} content the message content
+   * @param {Object} properties the message properties
+   * @returns {*} the decoded content, the raw buffer if it cannot be decoded
+   */
+  function decode(content, properties) {
+    try {
+      return codecRegistry.decode(content, properties);
+    } catch (err) {
+      return content;
+    }
+  }
+
+  /**
+   * @param {String} [exchange] the exchange name, every exchange if omitted
+   * @param {String} [routingKey] the routing key or topic pattern, every key if omitted
+   * @returns {Object[]} the messages published so far, with their decoded `content`
+   */
+  function getPublished(exchange, routingKey) {
+    return published
+      .filter(message => exchange === undefined || message.exchange === exchange)
+      .filter(message => routingKey === undefined || topic.match(routingKey, message.routingKey))
+      .map(message => Object.assign({}, message, { content: decode(message.content, message.properties) }));
+  }
+
+  /**
+   * @param {String} name the queue name
+   * @returns {Object[]} the messages waiting in the queue, with their decoded `content`
+   */
+  function getMessages(name) {
+    const queue = queues.get(name);
+    if (!queue) return [];
+    return queue.ready.map(entry => ({
+      content: decode(entry.content, entry.properties),
+      properties: entry.properties,
+      exchange: entry.exchange,
+      routingKey: entry.routingKey
+    }));
+  }
+
+  /**
+   * @param {Object} queue the queue
+   * @returns {Boolean} true if no message is waiting or being handled in the queue
+   */
+  function isDrained(queue) {
+    if (queue.ready.length) return false;
+    return !queue.consumers.some(consumer => consumer.unacked > 0);
+  }
+
+  /**
+   * Wait until a queue has no message waiting and no message being handled.
+   *
+   * @param {String} name the queue name
+   * @param {Number} [timeout] delay after which the promise is rejected, in ms
+   * @returns {Promise} resolved once the queue is drained
+   */
+  function waitForDrain(name, timeout) {
+    return new Promise((resolve, reject) => {
+      const waiter = { name, resolve };
+      if (timeout) {
+        waiter.timer = setTimeout(() => {
+          drainWaiters.splice(drainWaiters.indexOf(waiter), 1);
+          reject(new Error(`The queue ${name} was not drained within ${timeout}ms`));
+        }, timeout);
+      }
+      drainWaiters.push(waiter);
+      notify();
+    });
+  }
+
+  /**
+   * Resolve the drain waiters, after the pending deliveries.
+   *
+   * @returns {void}
+   */
+  function notify() {
+    setImmediate(() => {
+      drainWaiters.slice().forEach(waiter => {
+        const queue = queues.get(waiter.name);
+        if (queue && (!isDrained(queue) || queue.scheduled)) return;
+        drainWaiters.splice(drainWaiters.indexOf(waiter), 1);
+        clearTimeout(waiter.timer);
+        waiter.resolve();
+      });
+    });
+  }
+}
+
+/**
+ * @param {Object} [options] the options of an exchange or a queue
+ * @returns {Boolean} true if it is durable, the amqplib default
+ */
+function isDurable(options) {
+  return (options || {}).durable !== false;
+}
+
+/**
+ * Check that a queue is declared again with the same durability and arguments, like RabbitMQ.
+ *
+ * @param {Object} existing the existing queue
+ * @param {Object} declared the queue as declared again
+ * @returns {void}
+ */
+function assertEquivalent(existing, declared) {
+  const keys = Object.keys(Object.assign({}, existing.arguments, declared.arguments));
+  const key = keys.find(name => existing.arguments[name] !== declared.arguments[name]);
+  if (key) {
+    throw channelError(406, `PRECONDITION_FAILED - inequivalent arg '${key}' for queue '${existing.name}': ` +
+      `received '${declared.arguments[key]}' but current is '${existing.arguments[key]}'`);
+  }
+  if (isDurable(existing.options) !== isDurable(declared.options)) {
+    throw channelError(406, `PRECONDITION_FAILED - inequivalent arg 'durable' for queue '${existing.name}'`);
+  }
+}
+
+/**
+ * @param {Object} consumer the consumer
+ * @returns {Boolean} true if the prefetch of the consumer allows a new delivery
+ */
+function canReceive(consumer) {
+  return consumer.noAck || !consumer.prefetch || consumer.unacked < consumer.prefetch;
+}
+
+/**
+ * Match the headers of a message with the arguments of a headers exchange binding: every
+ * argument with `x-match` set to 'all', the default, at least one with 'any'. The arguments
+ * starting with 'x-' are not matched.
+ *
+ * @param {Object} args the binding arguments
+ * @param {Object} headers the message headers
+ * @returns {Boolean} true if the message matches the binding
+ */
+function matchesHeaders(args, headers) {
+  const keys = Object.keys(args).filter(key => key.indexOf('x-') !== 0);
+  const match = key => Object.prototype.hasOwnProperty.call(headers, key) && headers[key] === args[key];
+  return args['x-match'] === 'any' ? keys.some(match) : keys.every(match);
+}
+
+/**
+ * @param {Object} [options] amqplib publish options
+ * @returns {Object} the message properties
+ */
+function pickProperties(options) {
+  options = options || {};
+  const properties = { headers: {} };
+  PROPERTIES.forEach(name => {
+    if (options[name] !== undefined) properties[name] = options[name];
+  });
+  properties.headers = Object.assign({}, options.headers);
+  return properties;
+}
+
+/**
+ * @param {Number} code the AMQP reply code
+ * @param {String} text the AMQP reply text
+ * @returns {Error} a channel error, like amqplib's
+ */
+function channelError(code, text) {
+  const err = new Error(`Channel closed by server: ${code} (${text})`);
+  err.code = code;
+  return err;
+}
+
+module.exports = { createMemoryBroker };
@@ -0,0 +1,232 @@
+'use strict';
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const METRICS = {
+  published: {
+    name: 'amqp_bus_messages_published_total',
+    type: 'counter',
+    help: 'Messages published, by exchange and routing key.'
+  },
+  consumed: {
+    name: 'amqp_bus_messages_consumed_total',
+    type: 'counter',
+    help: 'Messages received by the consumers, by queue.'
+  },
+  redelivered: {
+    name: 'amqp_bus_messages_redelivered_total',
+    type: 'counter',
+    help: 'Messages received again after a nack or a lost channel, by queue.'
+  },
+  acked: {
+    name: 'amqp_bus_messages_acked_total',
+    type: 'counter',
+    help: 'Messages acknowledged, by queue.'
+  },
+  nacked: {
+    name: 'amqp_bus_messages_nacked_total',
+    type: 'counter',
+    help: 'Messages rejected and requeued, by queue.'
+  },
+  retried: {
+    name: 'amqp_bus_messages_retried_total',
+    type: 'counter',
+    help: 'Messages delayed in a retry queue, by queue.'
+  },
+  parked: {
+    name: 'amqp_bus_messages_parked_total',
+    type: 'counter',
+    help: 'Messages moved to the parking queue, by queue.'
+  },
+  unhandled: {
+    name: 'amqp_bus_messages_unhandled_total',
+    type: 'counter',
+    help: 'Messages without a listener handler, by queue.'
+  },
+  duplicates: {
+    name: 'amqp_bus_messages_duplicate_total',
+    type: 'counter',
+    help: 'Messages acknowledged without being handled, already handled before, by queue.'
+  },
+  inFlight: {
+    name: 'amqp_bus_messages_in_flight',
+    type: 'gauge',
+    help: 'Messages received and not settled yet, by queue.'
+  },
+  handlerDuration: {
+    name: 'amqp_bus_handler_duration_seconds',
+    type: 'histogram',
+    help: 'Duration of the message handlers, by queue and result.'
+  },
+  reconnects: {
+    name: 'amqp_bus_reconnects_total',
+    type: 'counter',
+    help: 'Reconnections of the bus client.'
+  },
+  channelReopens: {
+    name: 'amqp_bus_channel_reopens_total',
+    type: 'counter',
+    help: 'Channels reopened after being closed alone, by channel.'
+  }
+};
+
+/**
+ * A sink ignoring every metric, used when the client has no `metrics` option.
+ */
+const NOOP_SINK = {
+  increment: () => null,
+  observe: () => null,
+  set: () => null
+};
+
+/**
+ * Create a metrics registry, the default metrics sink. It keeps counters, gauges and histograms
+ * in memory and renders them in the Prometheus text exposition format, for any HTTP server to
+ * serve them.
+ *
+ * A metrics sink is any object with the methods:
+ * - increment(name, labels, [value]) : add `value` (default to 1) to a counter
+ * - observe(name, labels, value) : add an observation to a histogram
+ * - set(name, labels, value) : set the value of a gauge
+ *
+ * @param {Object} [opts] various options
+ * @param {Number[]} [opts.buckets] the upper bounds of the histogram buckets, in seconds
+ * @returns {Object} the registry
+ */
+function createMetricsRegistry(opts) {
+  opts = opts || {};
+  const buckets = (opts.buckets || DEFAULT_BUCKETS).slice().sort((a, b) => a - b);
+  const families = new Map();
+
+  return { increment, observe, set, metrics, reset };
+
+  /**
+   * @param {String} name the counter name
+   * @param {Object} [labels] the labels of the serie
+   * @param {Number} [value] the increment, default to 1
+   * @returns {void}
+   */
+  function increment(name, labels, value) {
+    const serie = getSerie(name, 'counter', labels, () => ({ value: 0 }));
+    serie.value += value === undefined ? 1 : value;
+  }
+
+  /**
+   * @param {String} name the histogram name
+   * @param {Object} [labels] the labels of the serie
+   * @param {Number} value the observed value
+   * @returns {void}
+   */
+  function observe(name, labels, value) {
+    const serie = getSerie(name, 'histogram', labels, () => ({
+      counts: buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    }));
+    buckets.forEach((bound, index) => {
+      if (value <= bound) serie.counts[index]++;
+    });
+    serie.sum += value;
+    serie.count++;
+  }
+
+  /**
+   * @param {String} name the gauge name
+   * @param {Object} [labels] the labels of the serie
+   * @param {Number} value the value
+   * @returns {void}
+   */
+  function set(name, labels, value) {
+    getSerie(name, 'gauge', labels, () => ({ value: 0 })).value = value;
+  }
+
+  /**
+   * Forget every metric.
+   *
+   * @returns {void}
+   */
+  function reset() {
+    families.clear();
+  }
+
+  /**
+   * @returns {String} the metrics in the Prometheus text exposition format
+   */
+  function metrics() {
+    const lines = [];
+    families.forEach((family, name) => {
+      if (family.help) lines.push(`# HELP ${name} ${family.help}`);
+      lines.push(`# TYPE ${name} ${family.type}`);
+      family.series.forEach(serie => {
+        if (family.type !== 'histogram') {
+          lines.push(`${name}${formatLabels(serie.labels)} ${formatValue(serie.value)}`);
+          return;
+        }
+        buckets.forEach((bound, index) => {
+          const labels = Object.assign({}, serie.labels, { le: formatValue(bound) });
+          lines.push(`${name}_bucket${formatLabels(labels)} ${serie.counts[index]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels(Object.assign({}, serie.labels, { le: '+Inf' }))} ${serie.count}`);
+        lines.push(`${name}_sum${formatLabels(serie.labels)} ${formatValue(serie.sum)}`);
+        lines.push(`${name}_count${formatLabels(serie.labels)} ${serie.count}`);
+      });
+    });
+    return lines.length ? `${lines.join('\n')}\n` : '';
+  }
+
+  /**
+   * @param {String} name the metric name
+   * @param {String} type the metric type
+   * @param {Object} [labels] the labels of the serie
+   * @param {Function} create the factory of a new serie
+   * @returns {Object} the serie
+   */
+  function getSerie(name, type, labels, create) {
+    if (!families.has(name)) {
+      const known = Object.keys(METRICS).map(key => METRICS[key]).find(metric => metric.name === name);
+      families.set(name, { type, help: known && known.help, series: new Map() });
+    }
+    const family = families.get(name);
+    if (family.type !== type) throw new Error(`The metric ${name} is a ${family.type}, not a ${type}`);
+
+    labels = labels || {};
+    const key = JSON.stringify(Object.keys(labels).sort().map(label => [label, labels[label]]));
+    if (!family.series.has(key)) family.series.set(key, Object.assign({ labels }, create()));
+    return family.series.get(key);
+  }
+}
+
+/**
+ * @param {Number[]} start the result of a previous `process.hrtime()`
+ * @returns {Number} the time elapsed since, in seconds
+ */
+function elapsedSeconds(start) {
+  const elapsed = process.hrtime(start);
+  return elapsed[0] + elapsed[1] / 1e9;
+}
+
+/**
+ * @param {Object} labels the labels of a serie
+ * @returns {String} the labels in the exposition format
+ */
+function formatLabels(labels) {
+  const names = Object.keys(labels);
+  if (!names.length) return '';
+  const pairs = names.map(name => {
+    const value = String(labels[name]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return `${name}="${value}"`;
+  });
+  return `{${pairs.join(',')}}`;
+}
+
+/**
+ * @param {Number} value a metric value
+ * @returns {String} the value in the exposition format
+ */
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+module.exports = { METRICS, NOOP_SINK, createMetricsRegistry, elapsedSeconds };
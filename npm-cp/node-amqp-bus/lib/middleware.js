@@ -0,0 +1,40 @@
+'use strict';
+
+const compat = require('./compat');
+
+/**
+ * Compose middleware into an onion: each middleware is called with the context and a `next`
+ * function running the rest of the pipeline, and can act before and after it. A middleware that
+ * does not call `next` stops the pipeline.
+ *
+ * Middleware can be async functions awaiting `next()`, functions returning a Promise, or generator
+ * functions yielding `next()`.
+ *
+ * @param {Function[]} middleware the middleware, outermost first
+ * @returns {Function} the pipeline, called with the context and the innermost function, returning
+ * a Promise
+ */
+function compose(middleware) {
+  middleware.forEach(fn => {
+    if (typeof fn !== 'function') throw new Error('A middleware must be a function');
+  });
+  const wrapped = middleware.map(fn => (ctx, next) => compat.call(fn, [ctx, next]));
+
+  return (ctx, last) => {
+    let called = -1;
+    return dispatch(0);
+
+    /**
+     * @param {Number} index the index of the middleware to call
+     * @returns {Promise} resolved once the middleware and the ones after it are over
+     */
+    function dispatch(index) {
+      if (index <= called) return Promise.reject(new Error('next() called multiple times'));
+      called = index;
+      if (index === wrapped.length) return compat.call(last, [ctx]);
+      return wrapped[index](ctx, () => dispatch(index + 1));
+    }
+  };
+}
+
+module.exports = { compose };
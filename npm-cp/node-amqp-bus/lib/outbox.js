@@ -0,0 +1,260 @@
+'use strict';
+
+const co = require('co');
+const EventEmitter = require('events');
+const envelope = require('./envelope');
+const retry = require('./retry');
+
+const DEFAULT_COLLECTION = 'amqp_bus_outbox';
+const DEFAULT_RELAY = {
+  batchSize: 100,
+  pollInterval: 1000
+};
+const DEFAULT_BACKOFF = {
+  initialDelay: 1000,
+  maxDelay: 60000,
+  factor: 2
+};
+
+// orders the events added in the same millisecond by this process
+let sequence = 0;
+
+/**
+ * Create an outbox: events are inserted in a MongoDB collection with the business writes, in the
+ * same transaction when the driver supports it, and a relay publishes them afterwards. An event
+ * is never lost between the write and the publish, but it can be published twice if the relay
+ * stops between the publish and the update of the document: it keeps its message id, for the
+ * consumers to deduplicate it.
+ *
+ * The events are documents:
+ *
+ *     { _id, exchange, routingKey, message, options, aggregateKey, status, attempts, createdAt,
+ *       sequence, nextAttemptAt, sentAt, lastError }
+ *
+ * where status is 'pending' or 'sent', and sequence orders the events added by a process in the
+ * same millisecond.
+ *
+ * @param {Object} opts various options
+ * @param {Object|Promise} opts.db the MongoDB database, or a Promise of it like the one returned
+ * by `mongoHelper.getConnection(name)`
+ * @param {String} [opts.collection] the collection name, default to 'amqp_bus_outbox'
+ * @returns {Object} the outbox
+ */
+function createOutbox(opts) {
+  if (!opts || !opts.db) throw new Error('The outbox needs a db');
+  const name = opts.collection || DEFAULT_COLLECTION;
+  let collection = null;
+
+  return { add, createRelay };
+
+  /**
+   * Insert an event in the outbox, to be published by a relay.
+   *
+   * @param {String} exchange the exchange to publish the message on
+   * @param {String} routingKey the routing key of the message
+   * @param {Object} message the message, stored as is in the document
+   * @param {Object} [addOpts] various options
+   * @param {Object} [addOpts.session] the MongoDB session of the business write, to insert the
+   * event in its transaction
+   * @param {String} [addOpts.aggregateKey] the events with the same aggregate key are published in
+   * the order they were added
+   * @param {Object} [addOpts.publish] the options of `client.publish`, like `headers` or
+   * `causedBy`
+   * @returns {Promise} the id of the event, also the message id of the published message
+   */
+  function add(exchange, routingKey, message, addOpts) {
+    addOpts = addOpts || {};
+    const now = new Date();
+    const id = envelope.generateId();
+    const document = {
+      _id: id,
+      exchange,
+      routingKey,
+      message,
+      options: Object.assign({ messageId: id, timestamp: Math.floor(now.getTime() / 1000) }, addOpts.publish),
+      aggregateKey: addOpts.aggregateKey === undefined ? null : addOpts.aggregateKey,
+      status: 'pending',
+      attempts: 0,
+      createdAt: now,
+      sequence: sequence++,
+      nextAttemptAt: now
+    };
+    const insertOptions = addOpts.session ? { session: addOpts.session } : {};
+    return getCollection()
+      .then(events => events.insertOne(document, insertOptions))
+      .then(() => id);
+  }
+
+  /**
+   * Create a relay publishing the pending events, see `createRelay` below.
+   *
+   * @param {Object} client the bus client, in confirm mode
+   * @param {Object} [relayOpts] the options of the relay
+   * @returns {Object} the relay
+   */
+  function createRelay(client, relayOpts) {
+    return createOutboxRelay(getCollection, client, relayOpts);
+  }
+
+  /**
+   * @returns {Promise} the collection, with its index created on first use
+   */
+  function getCollection() {
+    if (!collection) {
+      collection = Promise.resolve(opts.db).then(db => {
+        const events = db.collection(name);
+        return events.createIndex({ status: 1, nextAttemptAt: 1, createdAt: 1, sequence: 1 }).then(() => events);
+      });
+      collection.catch(() => { collection = null; });
+    }
+    return collection;
+  }
+}
+
+/**
+ * Create a relay publishing the pending events of an outbox, oldest first, and marking them sent
+ * once the broker confirms them. A failed event is tried again with an exponential backoff; the
+ * next events with the same aggregate key wait for it.
+ *
+ * The events are not claimed: exactly one relay may run per outbox collection, two relays would
+ * publish the same events.
+ *
+ * The relay emits the following events:
+ * - published(document) : an event was published and marked sent
+ * - publish_error(err, document) : an event could not be published, it will be tried again
+ * - relay_error(err) : the pending events could not be read or updated
+ *
+ * @param {Function} getCollection returns a Promise of the outbox collection
+ * @param {Object} client the bus client, created with the `confirm` option
+ * @param {Object} [opts] various options
+ * @param {Number} [opts.batchSize] the maximum number of events read at once, default to 100
+ * @param {Number} [opts.pollInterval] the delay between two reads when there was no event left,
+ * in ms, default to 1000
+ * @param {Object} [opts.backoff] the backoff of the failed events
+ * `{ initialDelay, maxDelay, factor }`, default to `{ initialDelay: 1000, maxDelay: 60000,
+ * factor: 2 }`
+ * @returns {Object} the relay
+ */
+function createOutboxRelay(getCollection, client, opts) {
+  opts = Object.assign({}, DEFAULT_RELAY, opts);
+  const backoff = Object.assign({}, DEFAULT_BACKOFF, opts.backoff);
+  let running = null;
+  let stopping = false;
+  let timer = null;
+  let wakeUp = null;
+
+  const relay = Object.assign(Object.create(EventEmitter.prototype), {
+    start,
+    stop: co.wrap(stop),
+    relayOnce: co.wrap(relayOnce)
+  });
+  return relay;
+
+  /**
+   * Publish the pending events until the relay is stopped.
+   *
+   * @returns {Object} the relay
+   */
+  function start() {
+    if (!running) running = co(loop);
+    return relay;
+  }
+
+  /**
+   * Stop polling, and wait for the events being published.
+   *
+   * @returns {void}
+   */
+  function* stop() {
+    if (!running) return;
+    stopping = true;
+    clearTimeout(timer);
+    if (wakeUp) wakeUp();
+    yield running;
+    running = null;
+    stopping = false;
+  }
+
+  /**
+   * @returns {void}
+   */
+  function* loop() {
+    while (!stopping) {
+      let count = 0;
+      try {
+        count = yield relayOnce();
+      } catch (err) {
+        relay.emit('relay_error', err);
+      }
+      if (count < opts.batchSize && !stopping) yield sleep(opts.pollInterval);
+    }
+  }
+
+  /**
+   * Publish one batch of pending events. An event is skipped when an older event with the same
+   * aggregate key is waiting for its next attempt, or failed in this batch.
+   *
+   * @returns {Number} the number of events read
+   */
+  function* relayOnce() {
+    const events = yield getCollection();
+    const now = new Date();
+    const waiting = yield events.distinct('aggregateKey', { status: 'pending', nextAttemptAt: { $gt: now } });
+    const blocked = new Set(waiting.filter(key => key !== null));
+    const documents = yield events
+      .find({ status: 'pending', nextAttemptAt: { $lte: now }, aggregateKey: { $nin: [...blocked] } })
+      .sort({ createdAt: 1, sequence: 1 })
+      .limit(opts.batchSize)
+      .toArray();
+
+    for (const document of documents) {
+      if (stopping) break;
+      if (document.aggregateKey !== null && blocked.has(document.aggregateKey)) continue;
+      try {
+        yield publishDocument(document);
+      } catch (err) {
+        if (document.aggregateKey !== null) blocked.add(document.aggregateKey);
+        const attempts = document.attempts + 1;
+        yield events.updateOne({ _id: document._id }, {
+          $set: {
+            attempts,
+            lastError: err.message,
+            nextAttemptAt: new Date(Date.now() + retry.backoff(backoff, attempts))
+          }
+        });
+        relay.emit('publish_error', err, document);
+        continue;
+      }
+      yield events.updateOne({ _id: document._id }, { $set: { status: 'sent', sentAt: new Date() } });
+      relay.emit('published', document);
+    }
+    return documents.length;
+  }
+
+  /**
+   * @param {Object} document the event
+   * @returns {Promise} resolved once the broker confirms the message
+   */
+  function publishDocument(document) {
+    return Promise.resolve().then(() => {
+      const confirmation = client.publish(document.exchange, document.routingKey, document.message, document.options);
+      if (!confirmation || typeof confirmation.then !== 'function') {
+        throw new Error('The outbox relay needs a client created with the confirm option');
+      }
+      return confirmation;
+    });
+  }
+
+  /**
+   * @param {Number} delay the delay in ms
+   * @returns {Promise} resolved after the delay, or as soon as the relay is stopped
+   */
+  function sleep(delay) {
+    return new Promise(resolve => {
+      wakeUp = resolve;
+      timer = setTimeout(resolve, delay);
+    });
+  }
+}
+
+module.exports = { createOutbox };
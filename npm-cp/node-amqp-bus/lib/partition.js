@@ -0,0 +1,156 @@
+'use strict';
+
+const crypto = require('crypto');
+
+// the headers exchanges ignore the headers starting with 'x-'
+const HEADERS = {
+  partition: 'partition',
+  key: 'partition-key'
+};
+const REPLICAS = 64;
+const PUBLISH_OPTIONS = ['partitionKey', 'partitions'];
+
+// the hash rings by number of partitions, they never change
+const rings = new Map();
+
+/**
+ * @param {String} key the partition key
+ * @returns {Number} the 32 bits hash of the key
+ */
+function hash(key) {
+  return crypto.createHash('md5').update(String(key)).digest().readUInt32BE(0);
+}
+
+/**
+ * @param {Number} partitions the number of partitions
+ * @returns {Object[]} the points of the partitions on the hash ring, sorted by hash
+ */
+function getRing(partitions) {
+  if (!rings.has(partitions)) {
+    const points = [];
+    for (let partition = 0; partition < partitions; partition++) {
+      for (let replica = 0; replica < REPLICAS; replica++) {
+        points.push({ hash: hash(`${partition}:${replica}`), partition });
+      }
+    }
+    points.sort((a, b) => a.hash - b.hash || a.partition - b.partition);
+    rings.set(partitions, points);
+  }
+  return rings.get(partitions);
+}
+
+/**
+ * Find the partition of a key: the one of the first point of the ring after the key hash. Each
+ * partition has several points on the ring, so that changing the number of partitions only moves
+ * a share of the keys.
+ *
+ * @param {String} key the partition key
+ * @param {Number} partitions the number of partitions
+ * @returns {Number} the partition, between 0 and `partitions - 1`
+ */
+function partitionOf(key, partitions) {
+  assertPartitions(partitions);
+  const ring = getRing(partitions);
+  const keyHash = hash(key);
+  let low = 0;
+  let high = ring.length;
+  while (low < high) {
+    const middle = (low + high) >>> 1;
+    if (ring[middle].hash < keyHash) low = middle + 1;
+    else high = middle;
+  }
+  return ring[low % ring.length].partition;
+}
+
+/**
+ * Replace the `partitionKey` and `partitions` publish options by the partition headers.
+ *
+ * @param {Object} [opts] the publish options
+ * @returns {Object|undefined} the publish options, with the partition headers when the message
+ * has a partition key
+ */
+function publishOptions(opts) {
+  if (!opts || opts.partitionKey === undefined) return opts;
+  const partition = partitionOf(opts.partitionKey, opts.partitions);
+  const result = Object.assign({}, opts, {
+    headers: Object.assign({}, opts.headers, {
+      [HEADERS.partition]: String(partition),
+      [HEADERS.key]: String(opts.partitionKey)
+    })
+  });
+  PUBLISH_OPTIONS.forEach(name => delete result[name]);
+  return result;
+}
+
+/**
+ * @param {Object} properties the properties of a message
+ * @returns {String|undefined} the partition key of the message
+ */
+function getKey(properties) {
+  return ((properties && properties.headers) || {})[HEADERS.key];
+}
+
+/**
+ * A partitioned queue is split in partition queues, bound to a headers exchange on their
+ * `partition` header. The headers exchange is bound to the source exchange with the routing
+ * keys of the queue, so that the messages keep their exchange and routing key.
+ *
+ * @param {String} queue the partitioned queue
+ * @returns {String} the name of the headers exchange routing to its partitions
+ */
+function exchangeName(queue) {
+  return `${queue}.partitions`;
+}
+
+/**
+ * @param {String} queue the partitioned queue
+ * @param {Number} partition the partition
+ * @returns {String} the name of the queue of the partition
+ */
+function queueName(queue, partition) {
+  return `${queue}.partition.${partition}`;
+}
+
+/**
+ * A partition queue has a single active consumer: the messages of a key are handled by one
+ * instance at a time, the other instances take over when it stops.
+ *
+ * @param {Object} [options] the options of the partitioned queue
+ * @returns {Object} the options of its partition queues
+ */
+function queueOptions(options) {
+  options = options || {};
+  return Object.assign({}, options, {
+    arguments: Object.assign({}, options.arguments, { 'x-single-active-consumer': true })
+  });
+}
+
+/**
+ * @param {Number} partition the partition
+ * @returns {Object} the arguments binding a partition queue to the headers exchange
+ */
+function bindingArguments(partition) {
+  return { 'x-match': 'all', [HEADERS.partition]: String(partition) };
+}
+
+/**
+ * @param {Number} partitions the number of partitions
+ * @returns {void}
+ */
+function assertPartitions(partitions) {
+  if (!(partitions > 0) || Math.floor(partitions) !== partitions) {
+    throw new Error('The number of partitions must be a positive integer');
+  }
+}
+
+module.exports = {
+  HEADERS,
+  partitionOf,
+  publishOptions,
+  getKey,
+  exchangeName,
+  queueName,
+  queueOptions,
+  bindingArguments,
+  assertPartitions
+};
@@ -0,0 +1,134 @@
+'use strict';
+
+const DEFAULT_RETRY = {
+  maxAttempts: 5,
+  initialDelay: 1000,
+  maxDelay: 3600000,
+  factor: 2
+};
+
+const HEADERS = {
+  attempts: 'x-attempts',
+  error: 'x-error',
+  exchange: 'x-original-exchange',
+  routingKey: 'x-original-routing-key',
+  queue: 'x-original-queue'
+};
+
+/**
+ * Fill a retry policy with the default values.
+ *
+ * @param {Object|Boolean} [retry] the retry policy, `true` for the default one
+ * @param {Number} [retry.maxAttempts] number of attempts before the message is parked
+ * @param {Number} [retry.initialDelay] delay before the first retry, in ms
+ * @param {Number} [retry.maxDelay] maximum delay between two attempts, in ms
+ * @param {Number} [retry.factor] factor applied to the delay after each attempt
+ * @returns {Object|null} the policy, null if there is no retry policy
+ */
+function createPolicy(retry) {
+  if (!retry) return null;
+  return Object.assign({}, DEFAULT_RETRY, retry === true ? {} : retry);
+}
+
+/**
+ * Compute the exponential delay before an attempt.
+ *
+ * @param {Object} policy the backoff policy, with initialDelay, maxDelay and factor
+ * @param {Number} attempt the attempt number, starting at 1
+ * @returns {Number} the delay in ms
+ */
+function backoff(policy, attempt) {
+  return Math.min(policy.initialDelay * Math.pow(policy.factor, attempt - 1), policy.maxDelay);
+}
+
+/**
+ * @param {String} queue the consumed queue
+ * @param {Number} delay the retry delay in ms
+ * @returns {String} the name of the queue where messages wait before their retry
+ */
+function retryQueueName(queue, delay) {
+  return `${queue}.retry.${delay}`;
+}
+
+/**
+ * The retry queue holds the messages for `delay` ms, then dead-letters them back to the consumed
+ * queue through the default exchange.
+ *
+ * @param {String} queue the consumed queue
+ * @param {Number} delay the retry delay in ms
+ * @returns {Object} the options of the retry queue
+ */
+function retryQueueOptions(queue, delay) {
+  return {
+    durable: true,
+    messageTtl: delay,
+    deadLetterExchange: '',
+    deadLetterRoutingKey: queue
+  };
+}
+
+/**
+ * @param {String} queue the consumed queue
+ * @returns {String} the name of the queue where messages land once they cannot be retried
+ */
+function parkingQueueName(queue) {
+  return `${queue}.parking`;
+}
+
+/**
+ * @param {Object} message the amqplib message
+ * @returns {Number} the number of failed attempts to handle the message
+ */
+function getAttempts(message) {
+  const headers = message.properties.headers || {};
+  return Number(headers[HEADERS.attempts]) || 0;
+}
+
+/**
+ * Retried messages come back through the default exchange: give back the exchange and routing
+ * key they were first published with.
+ *
+ * @param {Object} message the amqplib message
+ * @returns {Object} the message fields
+ */
+function originFields(message) {
+  const headers = message.properties.headers || {};
+  if (headers[HEADERS.exchange] === undefined) return message.fields;
+  return Object.assign({}, message.fields, {
+    exchange: headers[HEADERS.exchange],
+    routingKey: headers[HEADERS.routingKey]
+  });
+}
+
+/**
+ * Build the properties used to republish a message to a retry or parking queue.
+ *
+ * @param {String} queue the consumed queue
+ * @param {Object} message the amqplib message
+ * @param {Number} attempts the number of failed attempts
+ * @param {Error} [err] the last error, stored in the headers
+ * @returns {Object} the publish options
+ */
+function republishOptions(queue, message, attempts, err) {
+  const fields = originFields(message);
+  const headers = Object.assign({}, message.properties.headers, {
+    [HEADERS.attempts]: attempts,
+    [HEADERS.exchange]: fields.exchange,
+    [HEADERS.routingKey]: fields.routingKey,
+    [HEADERS.queue]: queue
+  });
+  if (err) headers[HEADERS.error] = err.message;
+  return Object.assign({}, message.properties, { headers });
+}
+
+module.exports = {
+  HEADERS,
+  createPolicy,
+  backoff,
+  retryQueueName,
+  retryQueueOptions,
+  parkingQueueName,
+  getAttempts,
+  originFields,
+  republishOptions
+};
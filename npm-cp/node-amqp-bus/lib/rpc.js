@@ -0,0 +1,200 @@
+'use strict';
+
+const co = require('co');
+const compat = require('./compat');
+const envelope = require('./envelope');
+const topic = require('./topic');
+
+const REPLY_QUEUE = 'amq.rabbitmq.reply-to';
+const DEFAULT_TIMEOUT = 10000;
+
+/**
+ * Request / reply on top of a bus client.
+ *
+ * Requests are published with a `correlationId` and the RabbitMQ direct reply-to pseudo queue as
+ * `replyTo`, the replies are consumed without acknowledgement on the client channel. A reply is a
+ * JSON object holding either the `result` of the procedure or its serialized `error`.
+ *
+ * @param {Object} busClient the bus client
+ * @returns {Object} the `request` and `serve` methods, and `rejectPending` for the client
+ */
+function createRpc(busClient) {
+  const pending = new Map();
+  let replyConsumer = null;
+
+  busClient.on('disconnected', () => {
+    // direct replies are bound to the channel that sent the request, they will never arrive
+    replyConsumer = null;
+    rejectPending(new Error('The connection was lost before the reply was received'));
+  });
+
+  return { request, serve: co.wrap(serve), rejectPending };
+
+  /**
+   * Call a remote procedure.
+   *
+   * @param {String} exchange the exchange on which the request is published
+   * @param {String} routingKey the routing key of the request, the procedure name
+   * @param {Object} payload the request payload
+   * @param {Object} [opts] various options
+   * @param {Number} [opts.timeout] delay after which the request is rejected, in ms
+   * @param {Object} [opts.causedBy] the properties of the message being handled, see
+   * lib/envelope.js
+   * @param {Object} [opts.headers] custom headers
+   * @returns {Promise} the promise of the procedure result, with a `cancel()` method rejecting it
+   */
+  function request(exchange, routingKey, payload, opts) {
+    opts = opts || {};
+    const timeout = opts.timeout || DEFAULT_TIMEOUT;
+    const correlationId = envelope.generateId();
+
+    const promise = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => settle(correlationId,
+        new Error(`The request ${routingKey} timed out after ${timeout}ms`)
+      ), timeout);
+      pending.set(correlationId, { resolve, reject, timer });
+    });
+    promise.cancel = () => settle(correlationId, new Error(`The request ${routingKey} was cancelled`));
+
+    co(function* send() {
+      yield startReplyConsumer();
+      // the request may have been cancelled in the meantime
+      if (!pending.has(correlationId)) return;
+      yield Promise.resolve(busClient.publish(exchange, routingKey, payload, {
+        causedBy: opts.causedBy,
+        headers: opts.headers,
+        replyTo: REPLY_QUEUE,
+        correlationId,
+        expiration: String(timeout)
+      }));
+    }).catch(err => settle(correlationId, err));
+
+    return promise;
+  }
+
+  /**
+   * Serve procedures on a queue: each procedure name is bound as a routing key, and the value
+   * returned by the procedure is sent back to the caller. Errors thrown by a procedure are sent
+   * back too, and the request is acknowledged.
+   *
+   * @param {String} exchange the exchange on which the requests are published
+   * @param {String} queue the queue name
+   * @param {Object} procedures the procedures by name, async functions or generator functions,
+   * called with the payload, the fields and the properties of the request
+   * @param {Object} [opts] various options that will be passed to the setupQueue and consume
+   * methods
+   * @returns {void}
+   */
+  function* serve(exchange, queue, procedures, opts) {
+    const names = Object.keys(procedures);
+    for (const name of names) {
+      yield busClient.setupQueue(exchange, queue, name, opts);
+    }
+
+    yield busClient.consume(queue, function* _handleRequest(payload, fields, properties) {
+      const name = topic.findBestMatch(names, fields.routingKey);
+      let reply;
+      try {
+        if (name === undefined) throw new Error(`Unknown procedure ${fields.routingKey}`);
+        reply = { result: yield compat.call(procedures[name], [payload, fields, properties]) };
+      } catch (err) {
+        if (!properties.replyTo) throw err;
+        reply = { error: serializeError(err) };
+      }
+
+      if (!properties.replyTo) return;
+      yield Promise.resolve(busClient.publish('', properties.replyTo, reply, {
+        correlationId: properties.correlationId,
+        headers: { [envelope.CAUSATION_HEADER]: properties.messageId }
+      }));
+    }, opts);
+  }
+
+  /**
+   * Start consuming the replies on the current channel, once per channel.
+   *
+   * @returns {Promise} resolved once the consumer is started
+   */
+  function startReplyConsumer() {
+    const channel = busClient.channel;
+    if (!channel) return Promise.reject(new Error('The bus client is not connected'));
+    if (replyConsumer && replyConsumer.channel === channel) return replyConsumer.ready;
+
+    const ready = Promise.resolve(channel.consume(REPLY_QUEUE, handleReply, { noAck: true }));
+    replyConsumer = { channel, ready };
+    ready.catch(() => {
+      if (replyConsumer && replyConsumer.ready === ready) replyConsumer = null;
+    });
+    return ready;
+  }
+
+  /**
+   * @param {Object} message the reply message
+   * @returns {void}
+   */
+  function handleReply(message) {
+    if (!message) return;
+    let reply;
+    try {
+      reply = busClient.decode(message);
+    } catch (err) {
+      settle(message.properties.correlationId, new Error(`The reply cannot be decoded: ${err.message}`));
+      return;
+    }
+    if (!reply || typeof reply !== 'object') {
+      settle(message.properties.correlationId, new Error('The reply is malformed: it is not an object'));
+      return;
+    }
+    if (reply.error) settle(message.properties.correlationId, deserializeError(reply.error));
+    else settle(message.properties.correlationId, null, reply.result);
+  }
+
+  /**
+   * Resolve or reject a pending request, once.
+   *
+   * @param {String} correlationId the correlation id of the request
+   * @param {Error} [err] the error rejecting the request
+   * @param {*} [result] the result resolving the request
+   * @returns {void}
+   */
+  function settle(correlationId, err, result) {
+    const call = pending.get(correlationId);
+    if (!call) return;
+    pending.delete(correlationId);
+    clearTimeout(call.timer);
+    if (err) call.reject(err);
+    else call.resolve(result);
+  }
+
+  /**
+   * Reject every pending request.
+   *
+   * @param {Error} err the rejection error
+   * @returns {void}
+   */
+  function rejectPending(err) {
+    [...pending.keys()].forEach(correlationId => settle(correlationId, err));
+  }
+}
+
+/**
+ * @param {Error} err an error thrown by a procedure
+ * @returns {Object} the error data sent to the caller
+ */
+function serializeError(err) {
+  err = err || {};
+  return { name: err.name || 'Error', message: err.message || String(err), code: err.code };
+}
+
+/**
+ * @param {Object} data the error data sent by the server
+ * @returns {Error} the error rejecting the request, its `remote` property holds the error data
+ */
+function deserializeError(data) {
+  const err = new Error(data.message);
+  err.code = data.code;
+  err.remote = data;
+  return err;
+}
+
+module.exports = { REPLY_QUEUE, createRpc };
@@ -0,0 +1,68 @@
+'use strict';
+
+const tv4 = require('tv4');
+const topic = require('./topic');
+
+/**
+ * Create a registry of JSON schemas, by exchange and routing key. Routing keys can be topic
+ * patterns: a message is validated against the schema of the most specific matching key.
+ *
+ * @returns {Object} the registry
+ */
+function createSchemaRegistry() {
+  const validator = tv4.freshApi();
+  const schemas = new Map();
+
+  return { register, validate };
+
+  /**
+   * Register the schema of the messages published on an exchange with a routing key.
+   *
+   * @param {String} exchange the exchange name
+   * @param {String} key the routing key or topic pattern
+   * @param {Object} schema the JSON schema
+   * @returns {void}
+   */
+  function register(exchange, key, schema) {
+    if (!schemas.has(exchange)) schemas.set(exchange, new Map());
+    schemas.get(exchange).set(key, schema);
+  }
+
+  /**
+   * Validate a message against its schema.
+   *
+   * @param {String} exchange the exchange name
+   * @param {String} routingKey the routing key of the message
+   * @param {*} content the message content
+   * @returns {Object[]|null} the validation errors, null if the message is valid or has no schema
+   */
+  function validate(exchange, routingKey, content) {
+    const keys = schemas.get(exchange);
+    if (!keys || typeof routingKey !== 'string') return null;
+    const key = topic.findBestMatch([...keys.keys()], routingKey);
+    if (key === undefined) return null;
+
+    const result = validator.validateMultiple(content, keys.get(key));
+    if (result.valid) return null;
+    return result.errors.map(error => ({
+      message: error.message,
+      dataPath: error.dataPath,
+      schemaPath: error.schemaPath
+    }));
+  }
+}
+
+/**
+ * @param {String} exchange the exchange name
+ * @param {String} routingKey the routing key of the message
+ * @param {Object[]} errors the validation errors
+ * @returns {Error} an error describing the validation errors, which are in its `errors` property
+ */
+function createValidationError(exchange, routingKey, errors) {
+  const details = errors.map(error => `${error.dataPath || '/'}: ${error.message}`).join(', ');
+  const err = new Error(`Message ${exchange}/${routingKey} does not match its schema (${details})`);
+  err.errors = errors;
+  return err;
+}
+
+module.exports = { createSchemaRegistry, createValidationError };
@@ -0,0 +1,57 @@
+'use strict';
+
+const co = require('co');
+
+const DEFAULT_SIGNALS = ['SIGTERM', 'SIGINT'];
+
+/**
+ * Shut a bus client or listener down gracefully when the process receives a signal.
+ * The target emits `shutdown(signal, err)` once its shutdown is over.
+ *
+ * @param {Object} target the bus client or listener, it must have a `shutdown` method
+ * @param {Object} [opts] various options, passed to `target.shutdown`
+ * @param {String[]} [opts.signals] the signals to handle, default to SIGTERM and SIGINT
+ * @param {Boolean} [opts.exit] exit the process once the shutdown is over, default to true
+ * @returns {Function} a function removing the signal handlers
+ */
+function shutdownOnSignals(target, opts) {
+  opts = opts || {};
+  const signals = opts.signals || DEFAULT_SIGNALS;
+  const exit = opts.exit !== false;
+  let shuttingDown = false;
+
+  signals.forEach(signal => process.on(signal, onSignal));
+  return removeHandlers;
+
+  /**
+   * @param {String} signal the received signal
+   * @returns {void}
+   */
+  function onSignal(signal) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+
+    co(function* _shutdown() {
+      yield target.shutdown(opts);
+    }).then(() => done(signal, null), err => done(signal, err));
+  }
+
+  /**
+   * @param {String} signal the received signal
+   * @param {Error} err the shutdown error, if any
+   * @returns {void}
+   */
+  function done(signal, err) {
+    target.emit('shutdown', signal, err);
+    if (exit) process.exit(err ? 1 : 0);
+  }
+
+  /**
+   * @returns {void}
+   */
+  function removeHandlers() {
+    signals.forEach(signal => process.removeListener(signal, onSignal));
+  }
+}
+
+module.exports = { shutdownOnSignals };
@@ -0,0 +1,93 @@
+'use strict';
+
+/**
+ * AMQP topic matching: routing keys and binding patterns are lists of words separated by dots,
+ * `*` matches exactly one word and `#` matches zero or more words.
+ */
+
+/**
+ * @param {String} key a routing key or binding pattern
+ * @returns {Boolean} true if the key contains a wildcard
+ */
+function isPattern(key) {
+  return key.split('.').some(word => word === '*' || word === '#');
+}
+
+/**
+ * @param {String[]} patternWords the words of the pattern
+ * @param {Number} p index of the current pattern word
+ * @param {String[]} keyWords the words of the routing key
+ * @param {Number} k index of the current routing key word
+ * @returns {Boolean} true if the rest of the routing key matches the rest of the pattern
+ */
+function matchWords(patternWords, p, keyWords, k) {
+  if (p === patternWords.length) return k === keyWords.length;
+
+  const word = patternWords[p];
+  if (word === '#') {
+    for (let next = k; next <= keyWords.length; next++) {
+      if (matchWords(patternWords, p + 1, keyWords, next)) return true;
+    }
+    return false;
+  }
+  if (k === keyWords.length) return false;
+  if (word !== '*' && word !== keyWords[k]) return false;
+  return matchWords(patternWords, p + 1, keyWords, k + 1);
+}
+
+/**
+ * @param {String} pattern the binding pattern
+ * @param {String} routingKey the routing key of a message
+ * @returns {Boolean} true if the routing key matches the pattern
+ */
+function match(pattern, routingKey) {
+  return matchWords(pattern.split('.'), 0, routingKey.split('.'), 0);
+}
+
+/**
+ * @param {String} pattern the binding pattern
+ * @returns {Number[]} the number of `#`, the number of `*` and the number of words
+ */
+function weigh(pattern) {
+  const words = pattern.split('.');
+  return [
+    words.filter(word => word === '#').length,
+    words.filter(word => word === '*').length,
+    words.length
+  ];
+}
+
+/**
+ * Sort function putting the most specific patterns first: the ones with the fewest `#`, then the
+ * fewest `*`, then the most words. Equivalent patterns are sorted alphabetically.
+ *
+ * @param {String} a a pattern
+ * @param {String} b another pattern
+ * @returns {Number} a negative number if `a` is more specific than `b`
+ */
+function compareSpecificity(a, b) {
+  const weightA = weigh(a);
+  const weightB = weigh(b);
+  if (weightA[0] !== weightB[0]) return weightA[0] - weightB[0];
+  if (weightA[1] !== weightB[1]) return weightA[1] - weightB[1];
+  if (weightA[2] !== weightB[2]) return weightB[2] - weightA[2];
+  if (a === b) return 0;
+  return a < b ? -1 : 1;
+}
+
+/**
+ * Find the most specific pattern matching a routing key. A pattern equal to the routing key
+ * always wins.
+ *
+ * @param {String[]} patterns the binding patterns
+ * @param {String} routingKey the routing key of a message
+ * @returns {String|undefined} the best pattern, undefined if none matches
+ */
+function findBestMatch(patterns, routingKey) {
+  if (patterns.indexOf(routingKey) !== -1) return routingKey;
+  return patterns
+    .filter(pattern => isPattern(pattern) && match(pattern, routingKey))
+    .sort(compareSpecificity)[0];
+}
+
+module.exports = { isPattern, match, compareSpecificity, findBestMatch };
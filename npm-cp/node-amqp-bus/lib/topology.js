@@ -0,0 +1,184 @@
+'use strict';
+
+const DEFAULT_EXCHANGE_TYPE = 'topic';
+
+/**
+ * Normalize a declarative topology definition:
+ *
+ *     {
+ *       exchanges: { rides: { type: 'topic', durable: true }, audit: 'fanout' },
+ *       queues: { 'wallet-rides': { messageTtl: 60000, deadLetterExchange: 'dead-letters' } },
+ *       bindings: [
+ *         { exchange: 'rides', queue: 'wallet-rides', routingKey: 'ride.*' },
+ *         { exchange: 'rides', destination: 'audit', routingKey: '#' }
+ *       ]
+ *     }
+ *
+ * An exchange is defined by its type, or by an object holding its type and its amqplib options.
+ * A queue is defined by its amqplib options. A binding goes from an exchange to a queue, or to a
+ * destination exchange.
+ *
+ * @param {Object} definition the topology definition
+ * @returns {Object} the `exchanges`, `queues` and `bindings` arrays
+ */
+function normalize(definition) {
+  definition = definition || {};
+  const exchanges = definition.exchanges || {};
+  const queues = definition.queues || {};
+
+  return {
+    exchanges: Object.keys(exchanges).map(name => {
+      const exchange = typeof exchanges[name] === 'string' ? { type: exchanges[name] } : exchanges[name];
+      const options = Object.assign({}, exchange);
+      delete options.type;
+      return { name, type: (exchange && exchange.type) || DEFAULT_EXCHANGE_TYPE, options };
+    }),
+    queues: Object.keys(queues).map(name => ({ name, options: Object.assign({}, queues[name]) })),
+    bindings: (definition.bindings || []).map(binding => {
+      if (!binding || typeof binding.exchange !== 'string' || !binding.queue === !binding.destination) {
+        throw new Error(`Invalid binding ${JSON.stringify(binding)}: it needs an exchange, and a queue or a ` +
+          'destination exchange');
+      }
+      return {
+        exchange: binding.exchange,
+        queue: binding.queue,
+        destination: binding.destination,
+        routingKey: binding.routingKey || ''
+      };
+    })
+  };
+}
+
+/**
+ * Declare a normalized topology: exchanges, queues, then bindings. Declarations are idempotent,
+ * but a declaration that differs from the existing one closes the channel with a
+ * PRECONDITION_FAILED error.
+ *
+ * @param {Object} channel the amqplib channel
+ * @param {Object} topology the normalized topology
+ * @returns {void}
+ */
+function* assert(channel, topology) {
+  for (const exchange of topology.exchanges) {
+    yield channel.assertExchange(exchange.name, exchange.type, exchange.options);
+  }
+  for (const queue of topology.queues) {
+    yield channel.assertQueue(queue.name, queue.options);
+  }
+  for (const binding of topology.bindings) {
+    if (binding.queue) yield channel.bindQueue(binding.queue, binding.exchange, binding.routingKey);
+    else yield channel.bindExchange(binding.destination, binding.exchange, binding.routingKey);
+  }
+}
+
+/**
+ * Compare a normalized topology with what is declared on the broker, without declaring anything.
+ *
+ * An exchange or a queue is missing when its passive declaration fails, and different when
+ * declaring it again fails: the broker only accepts a declaration equivalent to the existing
+ * one. A binding is missing when its exchange, queue or destination is missing; AMQP gives no way
+ * to check the other bindings. The checks run on temporary channels, since a failed check closes
+ * its channel.
+ *
+ * @param {Object} connection the amqplib connection
+ * @param {Object} topology the normalized topology
+ * @returns {Object[]} the differences `{ type, name, difference, message }`, where type is
+ * 'exchange', 'queue' or 'binding' and difference is 'missing' or 'different'
+ */
+function* diff(connection, topology) {
+  const differences = [];
+  const missing = new Set();
+  let channel = null;
+
+  for (const exchange of topology.exchanges) {
+    const difference = yield compare(
+      ch => ch.checkExchange(exchange.name),
+      ch => ch.assertExchange(exchange.name, exchange.type, exchange.options)
+    );
+    if (difference) report('exchange', exchange.name, difference);
+  }
+  for (const queue of topology.queues) {
+    const difference = yield compare(
+      ch => ch.checkQueue(queue.name),
+      ch => ch.assertQueue(queue.name, queue.options)
+    );
+    if (difference) report('queue', queue.name, difference);
+  }
+  for (const binding of topology.bindings) {
+    const target = binding.queue ? `queue:${binding.queue}` : `exchange:${binding.destination}`;
+    if (missing.has(`exchange:${binding.exchange}`) || missing.has(target)) {
+      report('binding', describeBinding(binding), { difference: 'missing' });
+    }
+  }
+
+  if (channel) yield closeQuietly(channel);
+  return differences;
+
+  /**
+   * @param {String} type 'exchange', 'queue' or 'binding'
+   * @param {String} name the name of the exchange, queue or binding
+   * @param {Object} difference the difference and the broker message
+   * @returns {void}
+   */
+  function report(type, name, difference) {
+    if (difference.difference === 'missing') missing.add(`${type}:${name}`);
+    differences.push(Object.assign({ type, name }, difference));
+  }
+
+  /**
+   * @param {Function} check the passive declaration
+   * @param {Function} declare the declaration
+   * @returns {Promise} the difference, null if the declaration matches the broker
+   */
+  function compare(check, declare) {
+    return probe(check).then(err => {
+      if (err) return err.code === 404 ? { difference: 'missing' } : { difference: 'different', message: err.message };
+      return probe(declare).then(declareErr => (
+        declareErr ? { difference: 'different', message: declareErr.message } : null
+      ));
+    });
+  }
+
+  /**
+   * Run an operation on the temporary channel, opened again when a failure closed it.
+   *
+   * @param {Function} operation the operation, called with the channel
+   * @returns {Promise} the error of the operation, null if it succeeded
+   */
+  function probe(operation) {
+    return Promise.resolve(channel || connection.createChannel())
+      .then(ch => {
+        if (!channel) ch.on('error', () => null);
+        channel = ch;
+        return operation(ch);
+      })
+      .then(() => null, err => {
+        // the broker closes the channel on a failed declaration, close it in any other case
+        const failed = channel;
+        channel = null;
+        if (failed) closeQuietly(failed);
+        return err;
+      });
+  }
+}
+
+/**
+ * @param {Object} binding a normalized binding
+ * @returns {String} a readable description of the binding
+ */
+function describeBinding(binding) {
+  const target = binding.queue || `exchange ${binding.destination}`;
+  return `${binding.exchange} -> ${target} (${binding.routingKey})`;
+}
+
+/**
+ * @param {Object} channel an amqplib channel
+ * @returns {Promise} resolved once the channel is closed, even if it was already
+ */
+function closeQuietly(channel) {
+  return Promise.resolve()
+    .then(() => channel.close())
+    .catch(() => null);
+}
+
+module.exports = { normalize, assert, diff };
@@ -0,0 +1,164 @@
+'use strict';
+
+const EventEmitter = require('events');
+const amqplib = require('amqplib');
+const sinon = require('sinon');
+
+/**
+ * Create a stand-in for an amqplib channel: every method resolves immediately and records its
+ * calls, consumers are kept so that tests can push messages to them with `deliver`.
+ *
+ * @returns {Object} the fake channel
+ */
+function createFakeChannel() {
+  let consumerCount = 0;
+  let deliveryTag = 0;
+  const consumers = new Map();
+  const unconfirmed = [];
+
+  const channel = Object.assign(new EventEmitter(), {
+    consumers,
+    unconfirmed,
+    closed: false,
+    assertExchange: sinon.spy(exchange => Promise.resolve({ exchange })),
+    checkExchange: sinon.spy(() => Promise.resolve({})),
+    assertQueue: sinon.spy(queue => Promise.resolve({ queue, messageCount: 0, consumerCount: 0 })),
+    checkQueue: sinon.spy(queue => Promise.resolve({ queue, messageCount: 0, consumerCount: 0 })),
+    bindQueue: sinon.spy(() => Promise.resolve({})),
+    unbindQueue: sinon.spy(() => Promise.resolve({})),
+    bindExchange: sinon.spy(() => Promise.resolve({})),
+    unbindExchange: sinon.spy(() => Promise.resolve({})),
+    prefetch: sinon.spy(() => Promise.resolve({})),
+    consume: sinon.spy((queue, onMessage, options) => {
+      consumerCount++;
+      const consumerTag = `ctag-${consumerCount}`;
+      consumers.set(consumerTag, { queue, onMessage, options });
+      return Promise.resolve({ consumerTag });
+    }),
+    cancel: sinon.spy(consumerTag => {
+      consumers.delete(consumerTag);
+      return Promise.resolve({ consumerTag });
+    }),
+    publish: sinon.spy((exchange, routingKey, content, options, callback) => {
+      if (callback) unconfirmed.push(callback);
+      return true;
+    }),
+    sendToQueue: sinon.spy(() => true),
+    ack: sinon.spy(),
+    nack: sinon.spy(),
+    close: sinon.spy(() => {
+      channel.kill();
+      return Promise.resolve();
+    }),
+
+    /**
+     * Simulate the channel being closed, by the broker or by its connection.
+     *
+     * @param {Error} [err] the error that caused the closing
+     * @returns {void}
+     */
+    kill(err) {
+      if (channel.closed) return;
+      channel.closed = true;
+      if (err) channel.emit('error', err);
+      channel.emit('close');
+    },
+
+    /**
+     * Confirm the oldest message published on a confirm channel.
+     *
+     * @param {Error} [err] an error to simulate a nack from the broker
+     * @returns {void}
+     */
+    confirm(err) {
+      unconfirmed.shift()(err || null);
+    },
+
+    /**
+     * Deliver a message to the first consumer of a queue.
+     *
+     * @param {String} queue the queue name
+     * @param {*} content the message content, serialized to JSON unless it is a Buffer
+     * @param {Object} [fields] the message fields
+     * @param {Object} [properties] the message properties
+     * @returns {Promise} resolved with the value returned by the consumer callback
+     */
+    deliver(queue, content, fields, properties) {
+      const consumer = [...consumers.values()].find(item => item.queue === queue);
+      if (!consumer) throw new Error(`No consumer on queue ${queue}`);
+      deliveryTag++;
+      return Promise.resolve(consumer.onMessage({
+        content: Buffer.isBuffer(content) ? content : Buffer.from(JSON.stringify(content)),
+        fields: Object.assign({ deliveryTag, redelivered: false, exchange: '', routingKey: queue }, fields),
+        properties: Object.assign({ headers: {} }, properties)
+      }));
+    }
+  });
+  return channel;
+}
+
+/**
+ * Create a stand-in for an amqplib connection.
+ *
+ * @returns {Object} the fake connection
+ */
+function createFakeConnection() {
+  const connection = Object.assign(new EventEmitter(), {
+    channels: [],
+    closed: false,
+    createChannel: sinon.spy(() => openChannel()),
+    createConfirmChannel: sinon.spy(() => openChannel()),
+    close: sinon.spy(() => {
+      connection.kill();
+      return Promise.resolve();
+    }),
+
+    /**
+     * Simulate a connection loss: every channel is closed, then the connection itself.
+     *
+     * @param {Error} [err] the error that caused the loss
+     * @returns {void}
+     */
+    kill(err) {
+      if (connection.closed) return;
+      connection.closed = true;
+      connection.channels.forEach(channel => channel.kill());
+      if (err) connection.emit('error', err);
+      connection.emit('close', err);
+    }
+  });
+  return connection;
+
+  /**
+   * @returns {Promise} a new fake channel on this connection
+   */
+  function openChannel() {
+    const channel = createFakeChannel();
+    connection.channels.push(channel);
+    return Promise.resolve(channel);
+  }
+}
+
+/**
+ * Stub `amqplib.connect` so that it returns fake connections.
+ *
+ * @param {Object} sandbox the sinon sandbox used to stub amqplib
+ * @returns {Object} a broker object, holding the `connections` that were opened and the number
+ * of `failures` the next connection attempts should return
+ */
+function stubAmqplib(sandbox) {
+  const broker = { connections: [], failures: 0 };
+
+  sandbox.stub(amqplib, 'connect', () => {
+    if (broker.failures > 0) {
+      broker.failures--;
+      return Promise.reject(new Error('connect ECONNREFUSED'));
+    }
+    const connection = createFakeConnection();
+    broker.connections.push(connection);
+    return Promise.resolve(connection);
+  });
+  return broker;
+}
+
+module.exports = { createFakeChannel, createFakeConnection, stubAmqplib };
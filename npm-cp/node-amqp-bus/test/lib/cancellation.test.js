@@ -0,0 +1,72 @@
+'use strict';
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+
+const cancellation = require('../../lib/cancellation');
+
+describe('Cancellation', function testCancellation() {
+  describe('#createCancellation()', function () {
+    it('should abort the signal once', function () {
+      const handling = cancellation.createCancellation();
+      const abort = sinon.spy();
+      handling.signal.on('abort', abort);
+      const reason = new Error('timeout');
+
+      expect(handling.signal.aborted).to.be.false();
+      handling.cancel(reason);
+      handling.cancel(new Error('again'));
+
+      expect(handling.signal.aborted).to.be.true();
+      expect(handling.signal.reason).to.equal(reason);
+      expect(abort.calledOnce).to.be.true();
+      expect(abort.firstCall.args[0]).to.equal(reason);
+      expect(() => handling.signal.throwIfAborted()).to.throw('timeout');
+    });
+  });
+
+  describe('#withTimeout()', function () {
+    let clock;
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers();
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    it('should give the result of an operation over in time', function* () {
+      const handling = cancellation.createCancellation();
+
+      const result = yield cancellation.withTimeout(Promise.resolve(42), 1000, handling);
+
+      expect(result).to.equal(42);
+      clock.tick(1000);
+      expect(handling.signal.aborted).to.be.false();
+    });
+
+    it('should reject and cancel an operation not over in time', function* () {
+      const handling = cancellation.createCancellation();
+      const operation = cancellation.withTimeout(new Promise(() => null), 1000, handling);
+
+      clock.tick(1000);
+      let err;
+      try {
+        yield operation;
+      } catch (error) {
+        err = error;
+      }
+
+      expect(err.message).to.equal('The handler did not finish within 1000ms');
+      expect(err.code).to.equal('ETIMEDOUT');
+      expect(handling.signal.reason).to.equal(err);
+    });
+
+    it('should not time out without a timeout', function () {
+      const operation = Promise.resolve();
+
+      expect(cancellation.withTimeout(operation, 0, cancellation.createCancellation())).to.equal(operation);
+    });
+  });
+});
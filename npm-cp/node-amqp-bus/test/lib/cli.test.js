@@ -0,0 +1,275 @@
+'use strict';
+
+const { expect } = require('chai');
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const stream = require('stream');
+
+const cli = require('../../lib/cli');
+const { createMemoryBroker } = require('../../lib/memory');
+
+/**
+ * @returns {Object} a writable stream keeping what is written in its `text` property
+ */
+function createOutput() {
+  const output = new stream.Writable({
+    write(chunk, encoding, callback) {
+      output.text += chunk.toString();
+      callback();
+    }
+  });
+  output.text = '';
+  return output;
+}
+
+/**
+ * @returns {Promise} resolved once the pending I/O callbacks have run
+ */
+function nextTick() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+describe('Command line tool', function testCli() {
+  let broker;
+  let busClient;
+  let io;
+
+  beforeEach(function* beforeEach() {
+    broker = createMemoryBroker();
+    busClient = yield broker.createClient();
+    io = {
+      stdin: new stream.PassThrough(),
+      stdout: createOutput(),
+      stderr: createOutput(),
+      env: {},
+      signals: new EventEmitter(),
+      createClient: (url, options) => broker.createClient(options)
+    };
+  });
+
+  afterEach(function* afterEach() {
+    yield busClient.close();
+  });
+
+  describe('#parseArgs()', function () {
+    it('should parse the command, its arguments and its options', function () {
+      expect(cli.parseArgs(['--url', 'amqp://bus', 'publish', 'rides', '--header=a=1', 'ride.created',
+        '--header', 'b=2', '--confirm'])).to.eql({
+          command: 'publish',
+          args: ['rides', 'ride.created'],
+          options: { url: 'amqp://bus', header: ['a=1', 'b=2'], confirm: true }
+        });
+    });
+
+    it('should refuse an option without value', function () {
+      expect(() => cli.parseArgs(['peek', 'queue', '--count'])).to.throw('The option --count needs a value');
+    });
+  });
+
+  describe('publish', function () {
+    it('should publish the JSON message of stdin', function* () {
+      yield busClient.setupQueue('rides', 'wallet', 'ride.*');
+      io.stdin.end('{ "rideId": 42 }');
+
+      const code = yield cli.run(['publish', 'rides', 'ride.created', '--header', 'source=support'], io);
+
+      expect(code).to.equal(0);
+      const messages = broker.messages('wallet');
+      expect(messages.map(message => message.content)).to.eql([{ rideId: 42 }]);
+      expect(messages[0].properties.headers).to.eql({ source: 'support' });
+      expect(messages[0].properties.appId).to.equal('amqp-bus');
+      expect(io.stdout.text).to.equal('Published to rides with ride.created\n');
+    });
+
+    it('should publish the JSON message of a file', function* () {
+      const file = path.join(os.tmpdir(), `amqp-bus-cli-${process.pid}.json`);
+      fs.writeFileSync(file, '{ "rideId": 43 }');
+      yield busClient.setupQueue('rides', 'wallet', 'ride.*');
+
+      try {
+        expect(yield cli.run(['publish', 'rides', 'ride.created', file, '--confirm'], io)).to.equal(0);
+      } finally {
+        fs.unlinkSync(file);
+      }
+
+      expect(broker.messages('wallet').map(message => message.content)).to.eql([{ rideId: 43 }]);
+    });
+
+    it('should fail on a message that is not a valid JSON', function* () {
+      io.stdin.end('{ rideId');
+
+      const code = yield cli.run(['publish', 'rides', 'ride.created'], io);
+
+      expect(code).to.equal(1);
+      expect(io.stderr.text).to.match(/^amqp-bus: The message is not a valid JSON/);
+      expect(broker.published()).to.eql([]);
+    });
+  });
+
+  describe('tail', function () {
+    it('should print the messages published on the exchange with the pattern', function* () {
+      yield busClient.setupQueue('rides', 'wallet', 'ride.*');
+      const tailing = cli.run(['tail', 'rides', 'ride.*', '--count', '1'], io);
+      while (!Array.from(broker.queues.keys()).some(name => name.indexOf('amqp-bus.tail.') === 0)) {
+        yield nextTick();
+      }
+      yield nextTick();
+
+      busClient.publish('rides', 'user.created', { userId: 1 });
+      busClient.publish('rides', 'ride.created', { rideId: 42 }, { correlationId: 'correlation-1' });
+
+      expect(yield tailing).to.equal(0);
+      expect(io.stdout.text).to.match(/^\[.+\] rides ride.created\n/);
+      expect(io.stdout.text).to.contain('  correlationId: correlation-1\n');
+      expect(io.stdout.text).to.contain('{\n  "rideId": 42\n}');
+      expect(io.stdout.text).not.to.contain('userId');
+    });
+
+    it('should not create a missing exchange', function* () {
+      expect(yield cli.run(['tail', 'ridez'], io)).to.equal(1);
+
+      expect(io.stderr.text).to.equal('amqp-bus: The exchange ridez does not exist\n');
+      expect(broker.exchanges.has('ridez')).to.be.false();
+      expect(Array.from(broker.queues.keys()).filter(name => name.indexOf('amqp-bus.tail.') === 0)).to.eql([]);
+    });
+
+    it('should stop on SIGINT', function* () {
+      yield busClient.setupQueue('rides', 'wallet', 'ride.*');
+      const tailing = cli.run(['tail', 'rides'], io);
+      while (!io.signals.listenerCount('SIGINT')) {
+        yield nextTick();
+      }
+
+      io.signals.emit('SIGINT');
+
+      expect(yield tailing).to.equal(0);
+      expect(io.signals.listenerCount('SIGINT')).to.equal(0);
+    });
+  });
+
+  describe('peek', function () {
+    it('should print the messages of a queue and leave them in it', function* () {
+      yield busClient.setupQueue('rides', 'wallet', 'ride.*');
+      busClient.publish('rides', 'ride.created', { rideId: 1 });
+      busClient.publish('rides', 'ride.created', { rideId: 2 });
+
+      const code = yield cli.run(['peek', 'wallet', '--json'], io);
+
+      expect(code).to.equal(0);
+      const lines = io.stdout.text.trim().split('\n').map(line => JSON.parse(line));
+      expect(lines.map(line => [line.routingKey, line.content])).to.eql([
+        ['ride.created', { rideId: 1 }], ['ride.created', { rideId: 2 }]
+      ]);
+      expect(broker.messages('wallet').map(message => message.content)).to.eql([{ rideId: 1 }, { rideId: 2 }]);
+    });
+  });
+
+  describe('move', function () {
+    it('should publish the parked messages again on their origin exchange', function* () {
+      yield busClient.setupQueue('rides', 'wallet', 'ride.*');
+      yield busClient.setupQueue('parking', 'wallet.parking', '#');
+      busClient.publish('parking', 'any', { rideId: 1 }, {
+        headers: {
+          'x-attempts': 5,
+          'x-error': 'Bad handler',
+          'x-original-exchange': 'rides',
+          'x-original-routing-key': 'ride.created',
+          'x-original-queue': 'wallet',
+          custom: 'value'
+        }
+      });
+      busClient.publish('parking', 'any', { rideId: 2 });
+
+      const code = yield cli.run(['move', 'wallet.parking'], io);
+
+      expect(code).to.equal(0);
+      expect(io.stdout.text).to.equal('Moved 1 message(s) from wallet.parking\n');
+      const moved = broker.messages('wallet');
+      expect(moved.map(message => [message.routingKey, message.content])).to.eql([['ride.created', { rideId: 1 }]]);
+      expect(moved[0].properties.headers).to.eql({ custom: 'value' });
+      expect(broker.messages('wallet.parking').map(message => message.content)).to.eql([{ rideId: 2 }]);
+    });
+
+    it('should only move the dead letters matching the filter', function* () {
+      yield busClient.setupQueue('parking', 'wallet.parking', '#');
+      yield busClient.setupQueue('rides', 'wallet', 'ride.*');
+      [['Unknown ride', 1], ['Timeout', 2]].forEach(item => busClient.publish('parking', 'any', { rideId: item[1] }, {
+        headers: { 'x-error': item[0], 'x-original-exchange': 'rides', 'x-original-routing-key': 'ride.created' }
+      }));
+
+      const code = yield cli.run(['move', 'wallet.parking', '--error', 'Unknown', '--routing-key', 'ride.*'], io);
+
+      expect(code).to.equal(0);
+      expect(io.stdout.text).to.equal('Moved 1 message(s) from wallet.parking\n');
+      expect(broker.messages('wallet').map(message => message.content)).to.eql([{ rideId: 1 }]);
+    });
+
+    it('should print the dead letters that would be moved on a dry run', function* () {
+      yield busClient.setupQueue('parking', 'wallet.parking', '#');
+      busClient.publish('parking', 'any', { rideId: 1 }, {
+        headers: { 'x-error': 'Unknown ride', 'x-original-exchange': 'rides', 'x-original-routing-key': 'ride.created' }
+      });
+
+      const code = yield cli.run(['move', 'wallet.parking', '--dry-run'], io);
+
+      expect(code).to.equal(0);
+      expect(io.stdout.text).to.contain('  origin: rides ride.created\n  error: Unknown ride\n');
+      expect(io.stdout.text).to.contain('1 message(s) would be moved from wallet.parking\n');
+      expect(broker.messages('wallet.parking')).to.have.length(1);
+    });
+
+    it('should refuse a rate that is not a positive number', function* () {
+      expect(yield cli.run(['move', 'wallet.parking', '--rate', 'fast'], io)).to.equal(2);
+      expect(io.stderr.text).to.match(/^amqp-bus: The rate must be a positive number\n\nUsage: amqp-bus/);
+    });
+  });
+
+  describe('errors', function () {
+    it('should fail when the client cannot be closed', function* () {
+      let cliClient;
+      yield busClient.setupQueue('rides', 'wallet', 'ride.*');
+      io.createClient = (url, options) => broker.createClient(options).then(client => {
+        cliClient = client;
+        return Object.assign(Object.create(client), { close: () => Promise.reject(new Error('Channel closed')) });
+      });
+
+      expect(yield cli.run(['peek', 'wallet'], io)).to.equal(1);
+      expect(io.stderr.text).to.equal('amqp-bus: Channel closed\n');
+      yield cliClient.close();
+    });
+  });
+
+  describe('usage', function () {
+    it('should print the usage on an unknown command', function* () {
+      expect(yield cli.run(['unknown'], io)).to.equal(2);
+
+      expect(io.stderr.text).to.match(/^amqp-bus: unknown command unknown\n\nUsage: amqp-bus/);
+    });
+
+    it('should refuse an unknown option', function* () {
+      expect(yield cli.run(['peek', 'wallet', '--exchange-type', 'fanout'], io)).to.equal(2);
+
+      expect(io.stderr.text).to.match(/^amqp-bus: Unknown option --exchange-type\n\nUsage: amqp-bus/);
+    });
+
+    it('should refuse a count that is not a positive integer', function* () {
+      expect(yield cli.run(['peek', 'wallet', '--count', '1.5'], io)).to.equal(2);
+
+      expect(io.stderr.text).to.match(/^amqp-bus: The count must be a positive integer\n/);
+    });
+
+    it('should refuse a value given to a boolean option', function* () {
+      expect(yield cli.run(['peek', 'wallet', '--json=yes'], io)).to.equal(2);
+
+      expect(io.stderr.text).to.match(/^amqp-bus: The option --json takes no value\n/);
+    });
+
+    it('should print the usage on missing arguments', function* () {
+      expect(yield cli.run(['publish', 'rides'], io)).to.equal(2);
+
+      expect(io.stderr.text).to.match(/^Usage: amqp-bus/);
+    });
+  });
+});
@@ -0,0 +1,143 @@
+'use strict';
+
+const { expect } = require('chai');
+const zlib = require('zlib');
+
+const codecs = require('../../lib/codecs');
+
+describe('Codecs', function testCodecs() {
+  describe('#encode()', function () {
+    it('should encode objects as JSON by default', function () {
+      const encoded = codecs.createCodecRegistry().encode({ id: 1 });
+
+      expect(encoded).to.eql({ content: new Buffer('{"id":1}'), contentType: 'application/json' });
+    });
+
+    it('should send buffers as binary content', function () {
+      const encoded = codecs.createCodecRegistry().encode(new Buffer([0, 255]));
+
+      expect(encoded.contentType).to.equal('application/octet-stream');
+      expect(encoded.content).to.eql(new Buffer([0, 255]));
+    });
+
+    it('should use the codec of the given content type', function () {
+      const registry = codecs.createCodecRegistry();
+      registry.register('text/plain', {
+        encode: value => new Buffer(String(value)),
+        decode: content => content.toString()
+      });
+
+      const encoded = registry.encode(42, { contentType: 'text/plain' });
+
+      expect(encoded).to.eql({ content: new Buffer('42'), contentType: 'text/plain' });
+    });
+
+    it('should throw for an unknown content type', function () {
+      const registry = codecs.createCodecRegistry();
+
+      expect(() => registry.encode({}, { contentType: 'application/x-msgpack' }))
+        .to.throw('Content type application/x-msgpack is not supported');
+    });
+
+    it('should compress the content when asked to', function () {
+      const encoded = codecs.createCodecRegistry().encode({ id: 1 }, { contentEncoding: 'gzip' });
+
+      expect(encoded.contentEncoding).to.equal('gzip');
+      expect(zlib.gunzipSync(encoded.content).toString()).to.equal('{"id":1}');
+    });
+
+    it('should compress the content from the compression threshold', function () {
+      const registry = codecs.createCodecRegistry({ compression: { threshold: 20 } });
+
+      expect(registry.encode({ id: 1 })).to.not.have.property('contentEncoding');
+      expect(registry.encode({ name: 'a long enough name' })).to.have.property('contentEncoding', 'gzip');
+    });
+
+    it('should throw for an unknown content encoding', function () {
+      const registry = codecs.createCodecRegistry();
+
+      expect(() => registry.encode({}, { contentEncoding: 'br' }))
+        .to.throw('Content encoding br is not supported');
+    });
+  });
+
+  describe('#decode()', function () {
+    it('should decode JSON when the message has no content type', function () {
+      expect(codecs.createCodecRegistry().decode(new Buffer('{"id":1}'))).to.eql({ id: 1 });
+    });
+
+    it('should ignore the content type parameters', function () {
+      const registry = codecs.createCodecRegistry();
+
+      const decoded = registry.decode(new Buffer('{"id":1}'), { contentType: 'Application/JSON; charset=utf-8' });
+
+      expect(decoded).to.eql({ id: 1 });
+    });
+
+    it('should give binary content as a buffer', function () {
+      const registry = codecs.createCodecRegistry();
+
+      const decoded = registry.decode(new Buffer([0, 255]), { contentType: 'application/octet-stream' });
+
+      expect(decoded).to.eql(new Buffer([0, 255]));
+    });
+
+    it('should decompress gzipped content', function () {
+      const registry = codecs.createCodecRegistry();
+
+      const decoded = registry.decode(zlib.gzipSync('{"id":1}'), { contentEncoding: 'gzip' });
+
+      expect(decoded).to.eql({ id: 1 });
+    });
+
+    it('should round trip with a registered codec', function () {
+      const registry = codecs.createCodecRegistry();
+      registry.register('application/x-date', {
+        encode: date => new Buffer(String(date.getTime())),
+        decode: content => new Date(Number(content.toString()))
+      });
+      const date = new Date(1480093113121);
+
+      const encoded = registry.encode(date, { contentType: 'application/x-date' });
+
+      expect(registry.decode(encoded.content, encoded)).to.eql(date);
+    });
+
+    it('should throw an error holding the codec error as cause', function () {
+      const registry = codecs.createCodecRegistry();
+
+      let err;
+      try {
+        registry.decode(new Buffer('not json'));
+      } catch (error) {
+        err = error;
+      }
+
+      expect(err.message).to.equal('Content is not a valid JSON');
+      expect(err.cause).to.be.an.instanceof(SyntaxError);
+    });
+
+    it('should throw for an invalid gzip content', function () {
+      const registry = codecs.createCodecRegistry();
+
+      expect(() => registry.decode(new Buffer('{}'), { contentEncoding: 'gzip' }))
+        .to.throw('Content is not a valid gzip');
+    });
+
+    it('should throw for an unknown content type', function () {
+      const registry = codecs.createCodecRegistry();
+
+      expect(() => registry.decode(new Buffer('{}'), { contentType: 'application/x-msgpack' }))
+        .to.throw('Content type application/x-msgpack is not supported');
+    });
+  });
+
+  describe('#register()', function () {
+    it('should refuse a codec without encode and decode methods', function () {
+      const registry = codecs.createCodecRegistry();
+
+      expect(() => registry.register('text/plain', { encode: String }))
+        .to.throw('The codec of text/plain must have encode and decode methods');
+    });
+  });
+});
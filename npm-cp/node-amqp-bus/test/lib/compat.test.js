@@ -0,0 +1,44 @@
+'use strict';
+
+const { expect } = require('chai');
+
+const compat = require('../../lib/compat');
+
+describe('Compat', function testCompat() {
+  describe('#call()', function () {
+    it('should resolve with the value of a function returning a promise', function* () {
+      const result = compat.call((a, b) => Promise.resolve(a + b), [1, 2]);
+
+      expect(result).to.be.an.instanceOf(Promise);
+      expect(yield result).to.equal(3);
+    });
+
+    it('should resolve with the value of a plain function', function* () {
+      expect(yield compat.call(a => a * 2, [2])).to.equal(4);
+    });
+
+    it('should run a generator function', function* () {
+      const result = yield compat.call(function* double(a) {
+        const value = yield Promise.resolve(a);
+        return value * 2;
+      }, [3]);
+
+      expect(result).to.equal(6);
+    });
+
+    it('should reject when the function throws synchronously', function* () {
+      const result = compat.call(() => {
+        throw new Error('Bad handler');
+      }, []);
+
+      expect(result).to.be.an.instanceOf(Promise);
+      let error;
+      try {
+        yield result;
+      } catch (err) {
+        error = err;
+      }
+      expect(error.message).to.equal('Bad handler');
+    });
+  });
+});
@@ -0,0 +1,104 @@
+'use strict';
+
+const { expect } = require('chai');
+
+const deadletter = require('../../lib/deadletter');
+
+/**
+ * @param {Object} headers the headers of the message
+ * @returns {Object} a dead-lettered amqplib message
+ */
+function createMessage(headers) {
+  return {
+    content: new Buffer('{}'),
+    fields: { exchange: 'dead-letters', routingKey: 'ride.created' },
+    properties: { contentType: 'application/json', headers }
+  };
+}
+
+const DEATHS = [
+  { count: 2, reason: 'expired', queue: 'wallet.retry', exchange: '', 'routing-keys': ['wallet'], time: 1480093173 },
+  { count: 1, reason: 'rejected', queue: 'wallet', exchange: 'rides', 'routing-keys': ['ride.created'], time: 1480093113 }
+];
+
+describe('Dead letters', function testDeadLetters() {
+  describe('#getDeaths()', function () {
+    it('should read the x-death history, most recent first', function () {
+      expect(deadletter.getDeaths(createMessage({ 'x-death': DEATHS }))).to.eql([
+        { count: 2, reason: 'expired', queue: 'wallet.retry', exchange: '', routingKeys: ['wallet'],
+          time: new Date(1480093173000) },
+        { count: 1, reason: 'rejected', queue: 'wallet', exchange: 'rides', routingKeys: ['ride.created'],
+          time: new Date(1480093113000) }
+      ]);
+    });
+
+    it('should give no death to a message that was not dead-lettered', function () {
+      expect(deadletter.getDeaths(createMessage())).to.eql([]);
+    });
+  });
+
+  describe('#getOrigin()', function () {
+    it('should find the origin of the first death', function () {
+      expect(deadletter.getOrigin(createMessage({ 'x-death': DEATHS }))).to.eql({
+        exchange: 'rides', routingKey: 'ride.created', queue: 'wallet'
+      });
+    });
+
+    it('should prefer the origin kept by the retry policy', function () {
+      expect(deadletter.getOrigin(createMessage({
+        'x-death': DEATHS,
+        'x-original-exchange': 'users',
+        'x-original-routing-key': 'user.created',
+        'x-original-queue': 'crm'
+      }))).to.eql({ exchange: 'users', routingKey: 'user.created', queue: 'crm' });
+    });
+
+    it('should give no origin to a message that was not dead-lettered', function () {
+      expect(deadletter.getOrigin(createMessage({ custom: 'value' }))).to.be.null();
+    });
+  });
+
+  describe('#createFilter()', function () {
+    const deadLetter = deadletter.describe(createMessage({ 'x-death': DEATHS, 'x-error': 'Unknown ride 42' }));
+
+    it('should match every dead letter without criteria', function () {
+      expect(deadletter.createFilter()(deadLetter)).to.be.true();
+    });
+
+    it('should match the original routing key with a topic pattern', function () {
+      expect(deadletter.createFilter({ routingKey: 'ride.*' })(deadLetter)).to.be.true();
+      expect(deadletter.createFilter({ routingKey: 'user.#' })(deadLetter)).to.be.false();
+    });
+
+    it('should match the original queue', function () {
+      expect(deadletter.createFilter({ queue: 'wallet' })(deadLetter)).to.be.true();
+      expect(deadletter.createFilter({ queue: 'wallet.retry' })(deadLetter)).to.be.false();
+    });
+
+    it('should match the error with a text or a pattern', function () {
+      expect(deadletter.createFilter({ error: 'Unknown ride' })(deadLetter)).to.be.true();
+      expect(deadletter.createFilter({ error: /ride \d+$/ })(deadLetter)).to.be.true();
+      expect(deadletter.createFilter({ error: 'timeout' })(deadLetter)).to.be.false();
+    });
+
+    it('should match every criterion', function () {
+      expect(deadletter.createFilter({ routingKey: 'ride.created', queue: 'crm' })(deadLetter)).to.be.false();
+    });
+  });
+
+  describe('#replayOptions()', function () {
+    it('should remove the dead-lettering and retry headers', function () {
+      const options = deadletter.replayOptions(createMessage({
+        'x-death': DEATHS,
+        'x-first-death-exchange': 'rides',
+        'x-first-death-queue': 'wallet',
+        'x-first-death-reason': 'rejected',
+        'x-attempts': 5,
+        'x-error': 'failed',
+        custom: 'value'
+      }));
+
+      expect(options).to.eql({ contentType: 'application/json', headers: { custom: 'value' } });
+    });
+  });
+});
@@ -0,0 +1,145 @@
+'use strict';
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+
+const dedup = require('../../lib/dedup');
+
+describe('Deduplication', function testDedup() {
+  describe('#createPolicy()', function () {
+    it('should return null without deduplication', function () {
+      expect(dedup.createPolicy(undefined)).to.be.null();
+      expect(dedup.createPolicy(false)).to.be.null();
+    });
+
+    it('should keep the keys 24 hours in memory by default', function () {
+      const policy = dedup.createPolicy(true);
+
+      expect(policy.retention).to.equal(24 * 3600 * 1000);
+      expect(policy.store.has).to.be.a('function');
+      expect(policy.store.add).to.be.a('function');
+    });
+
+    it('should refuse a store without has and add methods', function () {
+      expect(() => dedup.createPolicy({ store: { has: () => null } }))
+        .to.throw('The deduplication store must have has and add methods');
+    });
+  });
+
+  describe('#getKey()', function () {
+    it('should use the message id by default', function () {
+      const policy = dedup.createPolicy(true);
+
+      expect(dedup.getKey(policy, {}, {}, { messageId: 'id' })).to.equal('id');
+      expect(dedup.getKey(policy, {}, {}, {})).to.be.undefined();
+    });
+
+    it('should use the key extractor', function () {
+      const policy = dedup.createPolicy({ key: (content, fields) => `${fields.routingKey}:${content.id}` });
+
+      expect(dedup.getKey(policy, { id: 12 }, { routingKey: 'ride.created' }, {})).to.equal('ride.created:12');
+    });
+  });
+
+  describe('#createMemoryStore()', function () {
+    let clock;
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers(Date.now());
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    it('should keep the keys for their retention', function* () {
+      const store = dedup.createMemoryStore();
+      yield store.add('key', 1000);
+
+      expect(yield store.has('key')).to.be.true();
+      expect(yield store.has('other')).to.be.false();
+      clock.tick(1000);
+      expect(yield store.has('key')).to.be.false();
+    });
+
+    it('should forget the least recently used keys beyond its size', function* () {
+      const store = dedup.createMemoryStore({ maxSize: 2 });
+      yield store.add('a', 1000);
+      yield store.add('b', 1000);
+      yield store.has('a');
+      yield store.add('c', 1000);
+
+      expect(yield store.has('a')).to.be.true();
+      expect(yield store.has('b')).to.be.false();
+      expect(yield store.has('c')).to.be.true();
+    });
+  });
+
+  describe('#createMongoStore()', function () {
+    let keys;
+    let db;
+
+    beforeEach(() => {
+      keys = {
+        createIndex: sinon.spy(() => Promise.resolve('expiresAt_1')),
+        findOne: sinon.spy(() => Promise.resolve(null)),
+        updateOne: sinon.spy(() => Promise.resolve({}))
+      };
+      db = { collection: sinon.spy(() => keys) };
+    });
+
+    it('should need a db', function () {
+      expect(() => dedup.createMongoStore({})).to.throw('The MongoDB deduplication store needs a db');
+    });
+
+    it('should create the TTL index once', function* () {
+      const store = dedup.createMongoStore({ db: Promise.resolve(db), collection: 'handled' });
+
+      yield store.has('a');
+      yield store.has('b');
+
+      expect(db.collection.calledWith('handled')).to.be.true();
+      expect(keys.createIndex.calledOnce).to.be.true();
+      expect(keys.createIndex.firstCall.args).to.eql([{ expiresAt: 1 }, { expireAfterSeconds: 0 }]);
+    });
+
+    it('should find the keys not expired yet', function* () {
+      const store = dedup.createMongoStore({ db });
+      keys.findOne = sinon.spy(() => Promise.resolve({ _id: 'key' }));
+
+      expect(yield store.has('key')).to.be.true();
+      const query = keys.findOne.firstCall.args[0];
+      expect(query._id).to.equal('key');
+      expect(query.expiresAt.$gt).to.be.an.instanceof(Date);
+    });
+
+    it('should upsert the added keys with their expiry date', function* () {
+      const store = dedup.createMongoStore({ db });
+      const before = Date.now();
+
+      yield store.add('key', 1000);
+
+      const args = keys.updateOne.firstCall.args;
+      expect(args[0]).to.eql({ _id: 'key' });
+      expect(args[1].$set.expiresAt.getTime()).to.be.within(before + 1000, Date.now() + 1000);
+      expect(args[2]).to.eql({ upsert: true });
+    });
+
+    it('should create the index again after a failure', function* () {
+      keys.createIndex = sinon.spy(() => Promise.reject(new Error('not master')));
+      const store = dedup.createMongoStore({ db });
+
+      let err;
+      try {
+        yield store.has('key');
+      } catch (error) {
+        err = error;
+      }
+      keys.createIndex = sinon.spy(() => Promise.resolve('expiresAt_1'));
+      yield store.has('key');
+
+      expect(err.message).to.equal('not master');
+      expect(keys.createIndex.calledOnce).to.be.true();
+    });
+  });
+});
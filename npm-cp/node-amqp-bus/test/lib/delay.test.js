@@ -0,0 +1,36 @@
+'use strict';
+
+const { expect } = require('chai');
+
+const delay = require('../../lib/delay');
+
+describe('Delay buckets', function testDelay() {
+  describe('#bucketDelay()', function () {
+    it('should round the delay up to the precision', function () {
+      expect(delay.bucketDelay(1, 1000)).to.equal(1000);
+      expect(delay.bucketDelay(1000, 1000)).to.equal(1000);
+      expect(delay.bucketDelay(1001, 1000)).to.equal(2000);
+      expect(delay.bucketDelay(15, 10)).to.equal(20);
+    });
+
+    it('should default to a precision of one second', function () {
+      expect(delay.bucketDelay(900000.5)).to.equal(901000);
+    });
+
+    it('should return 0 when the message should not be delayed', function () {
+      expect(delay.bucketDelay(0)).to.equal(0);
+      expect(delay.bucketDelay(-1000)).to.equal(0);
+      expect(delay.bucketDelay(NaN)).to.equal(0);
+    });
+  });
+
+  describe('#bucketQueueOptions()', function () {
+    it('should dead-letter the messages to the target exchange once they expire', function () {
+      expect(delay.bucketQueueOptions('rides', 60000)).to.eql({
+        durable: true,
+        messageTtl: 60000,
+        deadLetterExchange: 'rides'
+      });
+    });
+  });
+});
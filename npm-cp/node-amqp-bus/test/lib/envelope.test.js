@@ -0,0 +1,65 @@
+'use strict';
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+
+const envelope = require('../../lib/envelope');
+
+describe('Message envelope', function testEnvelope() {
+  describe('#createProperties()', function () {
+    const sandbox = sinon.sandbox.create();
+
+    afterEach(() => {
+      sandbox.restore();
+    });
+
+    it('should generate the envelope', function () {
+      sandbox.useFakeTimers(1480093113121);
+
+      const properties = envelope.createProperties(undefined, 'wallet');
+
+      expect(properties.messageId).to.match(/^[0-9a-f]{32}$/);
+      expect(properties).to.have.property('timestamp', 1480093113);
+      expect(properties).to.have.property('contentType', 'application/json');
+      expect(properties).to.have.property('appId', 'wallet');
+      expect(properties.headers).to.eql({});
+    });
+
+    it('should generate a new message id for each message', function () {
+      const first = envelope.createProperties();
+      const second = envelope.createProperties();
+
+      expect(first.messageId).to.not.equal(second.messageId);
+    });
+
+    it('should propagate the correlation id of the message being handled', function () {
+      const causedBy = { messageId: 'message-2', correlationId: 'message-1', headers: {} };
+
+      const properties = envelope.createProperties({ causedBy });
+
+      expect(properties).to.have.property('correlationId', 'message-1');
+      expect(properties.headers).to.eql({ 'x-causation-id': 'message-2' });
+      expect(properties).to.not.have.property('causedBy');
+      expect(envelope.getCausationId(properties)).to.equal('message-2');
+    });
+
+    it('should use the message id of the first message as the correlation id', function () {
+      const properties = envelope.createProperties({ causedBy: { messageId: 'message-1' } });
+
+      expect(properties).to.have.property('correlationId', 'message-1');
+    });
+
+    it('should let the options override the envelope', function () {
+      const properties = envelope.createProperties({
+        causedBy: { messageId: 'message-1' },
+        messageId: 'custom-id',
+        correlationId: 'custom-correlation-id',
+        headers: { 'x-ride-id': '42' }
+      });
+
+      expect(properties).to.have.property('messageId', 'custom-id');
+      expect(properties).to.have.property('correlationId', 'custom-correlation-id');
+      expect(properties.headers).to.eql({ 'x-ride-id': '42', 'x-causation-id': 'message-1' });
+    });
+  });
+});
@@ -187,6 +187,92 @@ describe('Node AMQP Bus Listener', function testBus() {
       expect(error).to.not.exist();
     });
 
+    it('should call the handler of the most specific matching pattern', function*() {
+      const client = {
+        setupQueue: sandbox.stub().returns(Promise.resolve()),
+        consume: sandbox.stub().returns(Promise.resolve()),
+        on: sandbox.stub()
+      };
+      const service = bus.createListener('url', { client });
+      const finished = sandbox.spy();
+      const anyRide = sandbox.spy();
+      const created = sandbox.spy();
+      const unhandle = sandbox.spy();
+
+      service.addHandler('MY_QUEUE_NAME_1', 'ride.#', anyRide);
+      service.addHandler('MY_QUEUE_NAME_1', 'ride.*.finished', finished);
+      service.addHandler('MY_QUEUE_NAME_1', 'ride.created', created);
+      service.on('unhandle', unhandle);
+
+      yield service.listen('EXCHANGE');
+      expect(client.setupQueue.getCall(1).args[2]).to.equal('ride.*.finished');
+
+      const callback = client.consume.getCall(0).args[1];
+      yield callback({}, { routingKey: 'ride.pool.finished' });
+      yield callback({}, { routingKey: 'ride.created' });
+      yield callback({}, { routingKey: 'ride.cancelled' });
+      yield callback({}, { routingKey: 'payment.created' });
+
+      expect(finished.calledOnce).to.be.true();
+      expect(created.calledOnce).to.be.true();
+      expect(anyRide.calledOnce).to.be.true();
+      expect(anyRide.firstCall.args[1]).to.eql({ routingKey: 'ride.cancelled' });
+      expect(unhandle.calledOnce).to.be.true();
+    });
+
+    it('should count the unhandled messages', function*() {
+      const client = {
+        setupQueue: sandbox.stub().returns(Promise.resolve()),
+        consume: sandbox.stub().returns(Promise.resolve()),
+        on: sandbox.stub()
+      };
+      const registry = bus.createMetricsRegistry();
+      const service = bus.createListener('url', { client, metrics: registry });
+      service.addHandler('MY_QUEUE_NAME_1', 'ride.created', sandbox.spy());
+
+      yield service.listen('EXCHANGE');
+      const callback = client.consume.getCall(0).args[1];
+      yield callback({}, { routingKey: 'ride.created' });
+      yield callback({}, { routingKey: 'ride.cancelled' });
+
+      expect(registry.metrics()).to.contain('amqp_bus_messages_unhandled_total{queue="MY_QUEUE_NAME_1"} 1');
+    });
+
+    it('should give the message properties to the handler', function*() {
+      const client = {
+        setupQueue: sandbox.stub().returns(Promise.resolve()),
+        consume: sandbox.stub().returns(Promise.resolve()),
+        on: sandbox.stub()
+      };
+      const service = bus.createListener('url', { client });
+      const handler = sandbox.spy();
+      service.addHandler('MY_QUEUE_NAME_1', 'SOME_EVENT_1', handler);
+
+      yield service.listen('EXCHANGE');
+      const properties = { messageId: 'message-1', headers: {} };
+      yield client.consume.getCall(0).args[1]({}, { routingKey: 'SOME_EVENT_1' }, properties);
+
+      expect(handler.firstCall.args[2]).to.equal(properties);
+    });
+
+    it('should wait for a handler returning a promise', function*() {
+      const client = {
+        setupQueue: sandbox.stub().returns(Promise.resolve()),
+        consume: sandbox.stub().returns(Promise.resolve()),
+        on: sandbox.stub()
+      };
+      const service = bus.createListener('url', { client });
+      const calls = [];
+      service.addHandler('MY_QUEUE_NAME_1', 'SOME_EVENT_1', message => Promise.resolve().then(() => {
+        calls.push(message.id);
+      }));
+
+      yield service.listen('EXCHANGE');
+      yield client.consume.getCall(0).args[1]({ id: 1 }, { routingKey: 'SOME_EVENT_1' }, {});
+
+      expect(calls).to.eql([1]);
+    });
+
     it('should listen to the exchange (connection already exists)', function*() {
       const client = {
         setupQueue: sandbox.stub().returns(Promise.resolve()),
@@ -229,6 +315,67 @@ describe('Node AMQP Bus Listener', function testBus() {
       ]);
     });
 
+    it('should pass the options of each queue to client.consume', function*() {
+      const client = {
+        setupQueue: sandbox.stub().returns(Promise.resolve()),
+        consume: sandbox.stub().returns(Promise.resolve()),
+        on: sandbox.stub()
+      };
+      const service = bus.createListener('url', { client });
+      const retry = { maxAttempts: 3 };
+      service.addHandler('MY_QUEUE_NAME_1', 'SOME_EVENT_1', function* someHandler() {}, {
+        retry,
+        prefetch: 5
+      });
+      service.addHandler('MY_QUEUE_NAME_2', 'SOME_EVENT_2', function* anotherHandler() {});
+
+      yield service.listen('EXCHANGE', { exchangeType: 'fanout', retry: true, prefetch: 20 });
+
+      expect(client.consume.getCall(0).args[2]).to.eql({ exchangeType: 'fanout', retry, prefetch: 5 });
+      expect(client.consume.getCall(1).args[2]).to.eql({
+        exchangeType: 'fanout',
+        retry: true,
+        prefetch: 20
+      });
+    });
+
+    it('should shut its client down', function*() {
+      const client = {
+        setupQueue: sandbox.stub().returns(Promise.resolve()),
+        consume: sandbox.stub().returns(Promise.resolve()),
+        shutdown: sandbox.stub().returns(Promise.resolve(true)),
+        on: sandbox.stub()
+      };
+      const service = bus.createListener('url', { client });
+
+      yield service.listen('EXCHANGE');
+      const drained = yield service.shutdown({ timeout: 1000 });
+
+      expect(drained).to.be.true();
+      expect(client.shutdown.calledWith({ timeout: 1000 })).to.be.true();
+    });
+
+    it('should register the schemas on its client', function*() {
+      const client = {
+        setupQueue: sandbox.stub().returns(Promise.resolve()),
+        consume: sandbox.stub().returns(Promise.resolve()),
+        registerSchema: sandbox.stub(),
+        on: sandbox.stub()
+      };
+      const service = bus.createListener('url', { client });
+      const schema = { type: 'object' };
+
+      service.registerSchema('EXCHANGE', 'SOME_EVENT_1', schema);
+      expect(client.registerSchema.called).to.be.false();
+      yield service.listen('EXCHANGE');
+      service.registerSchema('EXCHANGE', 'SOME_EVENT_2', schema);
+
+      expect(client.registerSchema.args).to.eql([
+        ['EXCHANGE', 'SOME_EVENT_1', schema],
+        ['EXCHANGE', 'SOME_EVENT_2', schema]
+      ]);
+    });
+
     it('should not reconnect twice', function* test() {
       const service = bus.createListener('amqp://localhost');
       const connectStub = sandbox.stub();
@@ -253,4 +400,317 @@ describe('Node AMQP Bus Listener', function testBus() {
       expect(errorStub.calledOnce).to.be.true();
     });
   });
+
+  describe('#use()', function () {
+    const sandbox = sinon.sandbox.create();
+    let client;
+
+    beforeEach(() => {
+      client = {
+        setupQueue: sandbox.stub().returns(Promise.resolve()),
+        consume: sandbox.stub().returns(Promise.resolve()),
+        on: sandbox.stub()
+      };
+    });
+
+    afterEach(() => {
+      sandbox.restore();
+    });
+
+    it('should run the listener, queue and handler middleware around the handler', function*() {
+      const calls = [];
+      const service = bus.createListener('url', { client });
+      const record = name => function* middleware(ctx, next) {
+        calls.push(`${name} ${ctx.queue} ${ctx.fields.routingKey}`);
+        yield next();
+        calls.push(`${name} after`);
+      };
+      service.use(record('listener'));
+      service.use('QUEUE_1', record('queue'));
+      service.use('QUEUE_2', record('other queue'));
+      service.addHandler('QUEUE_1', 'ride.created', () => calls.push('handler'), {
+        middleware: record('handler')
+      });
+
+      yield service.listen('EXCHANGE');
+      yield client.consume.getCall(0).args[1]({}, { routingKey: 'ride.created' }, {});
+
+      expect(calls).to.eql([
+        'listener QUEUE_1 ride.created', 'queue QUEUE_1 ride.created', 'handler QUEUE_1 ride.created',
+        'handler', 'handler after', 'queue after', 'listener after'
+      ]);
+    });
+
+    it('should give the handler the message transformed by the middleware', function*() {
+      const handler = sandbox.spy();
+      const service = bus.createListener('url', { client });
+      service.use((ctx, next) => {
+        ctx.message = Object.assign({ userId: ctx.properties.userId }, ctx.message);
+        return next();
+      });
+      service.addHandler('QUEUE_1', 'ride.created', handler);
+
+      yield service.listen('EXCHANGE');
+      yield client.consume.getCall(0).args[1]({ id: 1 }, { routingKey: 'ride.created' }, { userId: 'user' });
+
+      expect(handler.firstCall.args[0]).to.eql({ userId: 'user', id: 1 });
+    });
+
+    it('should not call the handler when a middleware stops the pipeline', function*() {
+      const handler = sandbox.spy();
+      const service = bus.createListener('url', { client });
+      service.use(() => Promise.resolve());
+      service.addHandler('QUEUE_1', 'ride.created', handler);
+
+      yield service.listen('EXCHANGE');
+      yield client.consume.getCall(0).args[1]({}, { routingKey: 'ride.created' }, {});
+
+      expect(handler.called).to.be.false();
+    });
+
+    it('should let the middleware map the handler errors', function*() {
+      const service = bus.createListener('url', { client });
+      service.use(function* mapError(ctx, next) {
+        try {
+          yield next();
+        } catch (err) {
+          throw new Error(`${ctx.fields.routingKey}: ${err.message}`);
+        }
+      });
+      service.addHandler('QUEUE_1', 'ride.created', () => { throw new Error('failed'); });
+
+      yield service.listen('EXCHANGE');
+      let err;
+      try {
+        yield client.consume.getCall(0).args[1]({}, { routingKey: 'ride.created' }, {});
+      } catch (error) {
+        err = error;
+      }
+
+      expect(err.message).to.equal('ride.created: failed');
+    });
+
+    it('should run the middleware for the unhandled messages', function*() {
+      const handled = [];
+      const unhandle = sandbox.spy();
+      const service = bus.createListener('url', { client });
+      service.use((ctx, next) => {
+        handled.push(ctx.handler);
+        return next();
+      });
+      service.addHandler('QUEUE_1', 'ride.created', () => null);
+      service.on('unhandle', unhandle);
+
+      yield service.listen('EXCHANGE');
+      yield client.consume.getCall(0).args[1]({}, { routingKey: 'ride.ended' }, {});
+
+      expect(handled).to.eql([undefined]);
+      expect(unhandle.calledOnce).to.be.true();
+    });
+
+    it('should give the cancellation signal to the middleware and the handler', function*() {
+      const handler = sandbox.spy();
+      const signals = [];
+      const service = bus.createListener('url', { client });
+      service.use((ctx, next) => {
+        signals.push(ctx.signal);
+        return next();
+      });
+      service.addHandler('QUEUE_1', 'ride.created', handler, { timeout: 1000 });
+
+      yield service.listen('EXCHANGE');
+      const signal = { aborted: false };
+      yield client.consume.getCall(0).args[1]({}, { routingKey: 'ride.created' }, {}, signal);
+
+      expect(client.consume.getCall(0).args[2]).to.eql({ timeout: 1000 });
+      expect(signals).to.eql([signal]);
+      expect(handler.firstCall.args[3]).to.equal(signal);
+    });
+
+    it('should refuse a middleware that is not a function', function () {
+      const service = bus.createListener('url', { client });
+
+      expect(() => service.use('QUEUE_1', 'middleware')).to.throw('A middleware must be a function');
+    });
+  });
+
+  describe('runtime handlers', function () {
+    const sandbox = sinon.sandbox.create();
+    let client;
+
+    beforeEach(() => {
+      client = {
+        setupQueue: sandbox.stub().returns(Promise.resolve()),
+        unbindQueue: sandbox.stub().returns(Promise.resolve()),
+        consume: sandbox.stub().returns(Promise.resolve()),
+        pause: sandbox.stub().returns(Promise.resolve()),
+        resume: sandbox.stub().returns(Promise.resolve()),
+        setupPartitionedQueue: sandbox.stub().returns(Promise.resolve()),
+        consumePartitioned: sandbox.stub().returns(Promise.resolve()),
+        on: sandbox.stub()
+      };
+    });
+
+    afterEach(() => {
+      sandbox.restore();
+    });
+
+    it('should bind a queue to the exchange of each handler', function*() {
+      const rideCreated = sandbox.spy();
+      const paymentCreated = sandbox.spy();
+      const service = bus.createListener('url', { client });
+      service.addHandler('wallet', 'created', rideCreated, { exchange: 'rides' });
+      service.addHandler('wallet', 'created', paymentCreated, { exchange: 'payments' });
+
+      yield service.listen();
+      const callback = client.consume.getCall(0).args[1];
+      yield callback({}, { exchange: 'payments', routingKey: 'created' }, {});
+
+      expect(client.setupQueue.args.map(args => args.slice(0, 3))).to.eql([
+        ['rides', 'wallet', 'created'],
+        ['payments', 'wallet', 'created']
+      ]);
+      expect(client.consume.calledOnce).to.be.true();
+      expect(paymentCreated.calledOnce).to.be.true();
+      expect(rideCreated.called).to.be.false();
+    });
+
+    it('should emit the failure to bind a handler added once listening', function*() {
+      const service = bus.createListener('url', { client });
+      const handleError = sandbox.spy();
+      service.on('handle_error', handleError);
+      yield service.listen('rides');
+      client.setupQueue.returns(Promise.reject(new Error('Channel closed')));
+
+      const err = yield service.addHandler('wallet', 'ride.created', () => null).catch(error => error);
+
+      expect(err.message).to.equal('Channel closed');
+      expect(handleError.calledOnce).to.be.true();
+      expect(handleError.firstCall.args[1]).to.eql({ err, queue: 'wallet', key: 'ride.created' });
+    });
+
+    it('should bind the handlers without exchange to the exchange given to listen', function*() {
+      const service = bus.createListener('url', { client });
+      service.addHandler('wallet', 'ride.created', () => null);
+      service.addHandler('wallet', 'payment.created', () => null, { exchange: 'payments' });
+
+      yield service.listen('rides');
+
+      expect(client.setupQueue.args.map(args => args[0])).to.eql(['rides', 'payments']);
+    });
+
+    it('should refuse a handler without exchange', function*() {
+      const service = bus.createListener('url', { client });
+      service.addHandler('wallet', 'ride.created', () => null);
+
+      let err;
+      try {
+        yield service.listen();
+      } catch (error) {
+        err = error;
+      }
+
+      expect(err.message).to.equal('The handler of wallet and ride.created has no exchange');
+    });
+
+    it('should bind and consume the handlers added after listen', function*() {
+      const service = bus.createListener('url', { client });
+      service.addHandler('wallet', 'ride.created', () => null);
+      yield service.listen('rides');
+
+      yield service.addHandler('wallet', 'ride.ended', () => null);
+      yield service.addHandler('billing', 'ride.ended', () => null, { prefetch: 5 });
+
+      expect(client.setupQueue.args.map(args => args.slice(0, 3))).to.eql([
+        ['rides', 'wallet', 'ride.created'],
+        ['rides', 'wallet', 'ride.ended'],
+        ['rides', 'billing', 'ride.ended']
+      ]);
+      expect(client.consume.args.map(args => args[0])).to.eql(['wallet', 'billing']);
+      expect(client.consume.getCall(1).args[2]).to.eql({ prefetch: 5 });
+    });
+
+    it('should only bind the new handlers when listening again', function*() {
+      const service = bus.createListener('url', { client });
+      service.addHandler('wallet', 'ride.created', () => null);
+      yield service.listen('rides');
+      service.addHandler('wallet', 'payment.created', () => null, { exchange: 'payments' });
+      yield service.listen('rides');
+
+      expect(client.setupQueue.callCount).to.equal(2);
+      expect(client.consume.calledOnce).to.be.true();
+    });
+
+    it('should unbind a removed handler', function*() {
+      const handler = sandbox.spy();
+      const unhandle = sandbox.spy();
+      const service = bus.createListener('url', { client });
+      service.addHandler('wallet', 'ride.created', handler, { exchange: 'rides' });
+      service.on('unhandle', unhandle);
+      yield service.listen();
+
+      yield service.removeHandler('wallet', 'ride.created', 'rides');
+      yield client.consume.getCall(0).args[1]({}, { exchange: 'rides', routingKey: 'ride.created' }, {});
+
+      expect(client.unbindQueue.firstCall.args).to.eql(['rides', 'wallet', 'ride.created']);
+      expect(service.handlers.wallet).to.eql({});
+      expect(handler.called).to.be.false();
+      expect(unhandle.calledOnce).to.be.true();
+    });
+
+    it('should not unbind a handler removed before listen', function*() {
+      const service = bus.createListener('url', { client });
+      service.addHandler('wallet', 'ride.created', () => null);
+
+      yield service.removeHandler('wallet', 'ride.created');
+      yield service.listen('rides');
+
+      expect(client.unbindQueue.called).to.be.false();
+      expect(client.setupQueue.called).to.be.false();
+    });
+
+    it('should pause and resume a queue', function*() {
+      const service = bus.createListener('url', { client });
+      service.addHandler('wallet', 'ride.created', () => null);
+      yield service.listen('rides');
+
+      yield service.pause('wallet');
+      yield service.resume('wallet');
+
+      expect(client.pause.calledWith('wallet')).to.be.true();
+      expect(client.resume.calledWith('wallet')).to.be.true();
+    });
+
+    it('should consume a queue paused before listen once it is resumed', function*() {
+      const service = bus.createListener('url', { client });
+      service.addHandler('wallet', 'ride.created', () => null);
+      yield service.pause('wallet');
+      yield service.listen('rides');
+
+      expect(client.setupQueue.calledOnce).to.be.true();
+      expect(client.consume.called).to.be.false();
+
+      yield service.resume('wallet');
+
+      expect(client.consume.calledOnce).to.be.true();
+      expect(client.resume.called).to.be.false();
+    });
+
+    it('should bind and consume a queue with partitions through them', function*() {
+      const handler = sandbox.spy();
+      const service = bus.createListener('url', { client });
+      service.addHandler('wallet', 'ride.*', handler, { partitions: 4, prefetch: 10 });
+
+      yield service.listen('rides');
+      yield client.consumePartitioned.getCall(0).args[1]({}, { exchange: 'rides', routingKey: 'ride.created' }, {});
+
+      expect(client.setupPartitionedQueue.firstCall.args.slice(0, 3)).to.eql(['rides', 'wallet', 'ride.*']);
+      expect(client.setupPartitionedQueue.firstCall.args[3]).to.include({ partitions: 4 });
+      expect(client.consumePartitioned.firstCall.args[0]).to.equal('wallet');
+      expect(client.consumePartitioned.firstCall.args[2]).to.include({ partitions: 4, prefetch: 10 });
+      expect(client.setupQueue.called).to.be.false();
+      expect(client.consume.called).to.be.false();
+      expect(handler.calledOnce).to.be.true();
+    });
+  });
 });
@@ -0,0 +1,559 @@
+'use strict';
+
+const { expect } = require('chai');
+
+const createListener = require('../../lib/listener');
+const { createMemoryBroker } = require('../../lib/memory');
+const partition = require('../../lib/partition');
+
+/**
+ * @param {Number} delay the delay, in ms
+ * @returns {Promise} resolved after the delay
+ */
+function sleep(delay) {
+  return new Promise(resolve => setTimeout(resolve, delay));
+}
+
+describe('In-memory broker', function testMemoryBroker() {
+  let broker;
+  let busClient;
+
+  beforeEach(function* beforeEach() {
+    broker = createMemoryBroker();
+    busClient = yield broker.createClient();
+  });
+
+  afterEach(function* afterEach() {
+    yield busClient.close();
+  });
+
+  describe('routing', function () {
+    it('should route messages of a direct exchange by routing key', function* () {
+      yield busClient.setupQueue('direct', 'created', 'user.created', { exchangeType: 'direct' });
+      yield busClient.setupQueue('direct', 'deleted', 'user.deleted', { exchangeType: 'direct' });
+
+      busClient.publish('direct', 'user.created', { id: 1 });
+
+      expect(broker.messages('created').map(message => message.content)).to.eql([{ id: 1 }]);
+      expect(broker.messages('deleted')).to.eql([]);
+    });
+
+    it('should route messages of a topic exchange by pattern', function* () {
+      yield busClient.setupQueue('topic', 'users', 'user.*');
+      yield busClient.setupQueue('topic', 'all', '#');
+      yield busClient.setupQueue('topic', 'rides', 'ride.#');
+
+      busClient.publish('topic', 'user.created', { id: 1 });
+
+      expect(broker.messages('users')).to.have.length(1);
+      expect(broker.messages('all')).to.have.length(1);
+      expect(broker.messages('rides')).to.have.length(0);
+    });
+
+    it('should route messages of a fanout exchange to every bound queue', function* () {
+      yield busClient.setupQueue('fanout', 'first', 'ignored', { exchangeType: 'fanout' });
+      yield busClient.setupQueue('fanout', 'second', 'other', { exchangeType: 'fanout' });
+
+      busClient.publish('fanout', 'anything', { id: 1 });
+
+      expect(broker.messages('first')).to.have.length(1);
+      expect(broker.messages('second')).to.have.length(1);
+    });
+
+    it('should deliver a message once per queue when several bindings match', function* () {
+      yield busClient.setupQueue('topic', 'users', 'user.*');
+      yield busClient.setupQueue('topic', 'users', 'user.created');
+
+      busClient.publish('topic', 'user.created', { id: 1 });
+
+      expect(broker.messages('users')).to.have.length(1);
+    });
+
+    it('should route messages through exchange to exchange bindings', function* () {
+      yield busClient.setupQueue('events', 'users', 'user.*');
+      yield busClient.channel.assertExchange('audit', 'fanout');
+      yield busClient.channel.bindExchange('events', 'audit', '');
+
+      busClient.publish('audit', 'user.created', { id: 1 });
+
+      expect(broker.messages('users')).to.have.length(1);
+    });
+
+    it('should route messages sent to a queue through the default exchange', function* () {
+      yield busClient.channel.assertQueue('tasks');
+
+      busClient.channel.sendToQueue('tasks', new Buffer('{"id":1}'));
+
+      expect(broker.messages('tasks')[0]).to.include({ exchange: '', routingKey: 'tasks' });
+    });
+
+    it('should close the channel when publishing to a missing exchange', function* () {
+      const channel = busClient.channel;
+      const closed = new Promise(resolve => channel.once('error', resolve));
+
+      busClient.publish('missing', 'user.created', { id: 1 });
+
+      const err = yield closed;
+      expect(err.code).to.equal(404);
+    });
+  });
+
+  describe('consuming', function () {
+    it('should deliver messages to the consumers and acknowledge them', function* () {
+      const received = [];
+      yield busClient.listen('topic', 'users', 'user.*', function* handler(message, fields) {
+        received.push([message, fields.routingKey]);
+      });
+
+      busClient.publish('topic', 'user.created', { id: 1 });
+      busClient.publish('topic', 'user.deleted', { id: 2 });
+      yield broker.waitForDrain('users', 1000);
+
+      expect(received).to.eql([[{ id: 1 }, 'user.created'], [{ id: 2 }, 'user.deleted']]);
+      expect(broker.messages('users')).to.eql([]);
+    });
+
+    it('should requeue the messages nacked by a failing handler', function* () {
+      const received = [];
+      yield busClient.listen('topic', 'users', 'user.*', function* handler(message, fields, properties) {
+        received.push(properties);
+        if (received.length === 1) throw new Error('failed');
+      });
+
+      busClient.publish('topic', 'user.created', { id: 1 });
+      yield broker.waitForDrain('users', 1000);
+
+      expect(received).to.have.length(2);
+    });
+
+    it('should mark requeued messages as redelivered', function* () {
+      yield busClient.setupQueue('topic', 'users', 'user.*');
+      busClient.publish('topic', 'user.created', { id: 1 });
+
+      const first = yield busClient.channel.get('users');
+      busClient.channel.nack(first);
+      const second = yield busClient.channel.get('users');
+
+      expect(first.fields.redelivered).to.be.false();
+      expect(second.fields.redelivered).to.be.true();
+    });
+
+    it('should dead-letter the messages rejected without requeue', function* () {
+      yield busClient.setupQueue('dead-letters', 'rejected', '', { exchangeType: 'fanout' });
+      yield busClient.channel.assertQueue('users', { deadLetterExchange: 'dead-letters' });
+      yield busClient.channel.bindQueue('users', 'amq.topic', 'user.*');
+      busClient.channel.publish('amq.topic', 'user.created', new Buffer('{"id":1}'));
+
+      const message = yield busClient.channel.get('users');
+      busClient.channel.nack(message, false, false);
+
+      const deadLettered = broker.messages('rejected');
+      expect(deadLettered).to.have.length(1);
+      const death = deadLettered[0].properties.headers['x-death'][0];
+      expect(death).to.include({ count: 1, reason: 'rejected', queue: 'users', exchange: 'amq.topic' });
+      expect(death['routing-keys']).to.eql(['user.created']);
+    });
+
+    it('should respect the prefetch of the consumers', function* () {
+      let running = 0;
+      let maxRunning = 0;
+      yield busClient.listen('topic', 'users', 'user.*', function* handler() {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        yield sleep(5);
+        running--;
+      }, { prefetch: 2 });
+
+      [1, 2, 3, 4, 5].forEach(id => busClient.publish('topic', 'user.created', { id }));
+      yield broker.waitForDrain('users', 1000);
+
+      expect(maxRunning).to.equal(2);
+    });
+
+    it('should dispatch the messages of a queue round robin between its consumers', function* () {
+      const received = [];
+      yield busClient.setupQueue('topic', 'users', 'user.*');
+      yield busClient.consume('users', function* first(message) { received.push(['first', message.id]); });
+      yield busClient.consume('users', function* second(message) { received.push(['second', message.id]); });
+
+      [1, 2, 3, 4].forEach(id => busClient.publish('topic', 'user.created', { id }));
+      yield broker.waitForDrain('users', 1000);
+
+      expect(received).to.eql([['first', 1], ['second', 2], ['first', 3], ['second', 4]]);
+    });
+
+    it('should requeue the unacknowledged messages when the channel is closed', function* () {
+      yield busClient.setupQueue('topic', 'users', 'user.*');
+      busClient.publish('topic', 'user.created', { id: 1 });
+
+      yield busClient.channel.get('users');
+      expect(broker.messages('users')).to.have.length(0);
+      yield busClient.channel.close();
+
+      expect(broker.messages('users')).to.have.length(1);
+    });
+
+    it('should close the channel when acknowledging an unknown delivery tag', function* () {
+      const channel = busClient.channel;
+      const closed = new Promise(resolve => channel.once('error', resolve));
+
+      channel.ack({ fields: { deliveryTag: 42 } });
+
+      const err = yield closed;
+      expect(err.code).to.equal(406);
+    });
+
+    it('should emit consume_error for messages that are not valid JSON', function* () {
+      const errors = [];
+      busClient.on('consume_error', err => errors.push(err.message));
+      yield busClient.listen('topic', 'users', 'user.*', function* handler() { return null; });
+
+      busClient.channel.publish('topic', 'user.created', new Buffer('not json'));
+      yield broker.waitForDrain('users', 1000);
+
+      expect(errors).to.eql(['Content is not a valid JSON']);
+    });
+  });
+
+  describe('queue arguments', function () {
+    it('should dead-letter the expired messages', function* () {
+      yield busClient.channel.assertQueue('users');
+      yield busClient.channel.assertQueue('delayed', {
+        messageTtl: 10,
+        deadLetterExchange: '',
+        deadLetterRoutingKey: 'users'
+      });
+
+      busClient.channel.sendToQueue('delayed', new Buffer('{"id":1}'));
+      expect(broker.messages('users')).to.have.length(0);
+      yield sleep(30);
+
+      expect(broker.messages('delayed')).to.have.length(0);
+      expect(broker.messages('users')).to.have.length(1);
+      expect(broker.messages('users')[0].properties.headers['x-death'][0].reason).to.equal('expired');
+    });
+
+    it('should expire the messages published with an expiration', function* () {
+      yield busClient.channel.assertQueue('users');
+
+      busClient.channel.sendToQueue('users', new Buffer('{"id":1}'), { expiration: '10' });
+      yield sleep(30);
+
+      expect(broker.messages('users')).to.have.length(0);
+    });
+
+    it('should drop the oldest messages of a queue over its max length', function* () {
+      yield busClient.channel.assertQueue('users', { maxLength: 2 });
+
+      [1, 2, 3].forEach(id => busClient.channel.sendToQueue('users', new Buffer(`{"id":${id}}`)));
+
+      expect(broker.messages('users').map(message => message.content)).to.eql([{ id: 2 }, { id: 3 }]);
+    });
+
+    it('should close the channel when checking a missing queue', function* () {
+      const err = yield busClient.channel.checkQueue('missing').catch(error => error);
+
+      expect(err.code).to.equal(404);
+    });
+  });
+
+  describe('retry policy', function () {
+    it('should retry the failed messages through the delayed retry queues', function* () {
+      let attempts = 0;
+      yield busClient.listen('topic', 'users', 'user.*', function* handler() {
+        attempts++;
+        if (attempts < 3) throw new Error('failed');
+      }, { retry: { maxAttempts: 3, initialDelay: 5 } });
+
+      busClient.publish('topic', 'user.created', { id: 1 });
+      yield sleep(100);
+
+      expect(attempts).to.equal(3);
+      expect(broker.messages('users.parking')).to.have.length(0);
+    });
+
+    it('should park the messages once the retry attempts are exhausted', function* () {
+      yield busClient.listen('topic', 'users', 'user.*', function* handler() {
+        throw new Error('failed');
+      }, { retry: { maxAttempts: 2, initialDelay: 5 } });
+
+      busClient.publish('topic', 'user.created', { id: 1 });
+      yield sleep(100);
+
+      const parked = broker.messages('users.parking');
+      expect(parked).to.have.length(1);
+      expect(parked[0].content).to.eql({ id: 1 });
+    });
+  });
+
+  describe('delayed publishing', function () {
+    it('should deliver the delayed messages to the target exchange after their delay', function* () {
+      const delayedClient = yield broker.createClient({ delayPrecision: 10 });
+      const received = [];
+      yield delayedClient.listen('rides', 'reminders', 'ride.reminder', function* handler(message) {
+        received.push(message);
+      });
+
+      yield delayedClient.publishDelayed('rides', 'ride.reminder', { rideId: 42 }, 20);
+      expect(received).to.eql([]);
+      yield sleep(60);
+
+      expect(received).to.eql([{ rideId: 42 }]);
+      yield delayedClient.close();
+    });
+  });
+
+  describe('request / reply', function () {
+    it('should reply through the direct reply-to queue', function* () {
+      yield busClient.serve('rpc', 'users', { 'user.get': function* getUser(payload) {
+        return { id: payload.id, name: 'John' };
+      } });
+
+      const user = yield busClient.request('rpc', 'user.get', { id: 1 });
+
+      expect(user).to.eql({ id: 1, name: 'John' });
+    });
+  });
+
+  describe('confirm mode', function () {
+    it('should confirm the published messages', function* () {
+      const confirmClient = yield broker.createClient({ confirm: true });
+      yield confirmClient.setupQueue('topic', 'users', 'user.*');
+
+      yield confirmClient.publish('topic', 'user.created', { id: 1 });
+
+      expect(broker.messages('users')).to.have.length(1);
+      yield confirmClient.close();
+    });
+  });
+
+  describe('declarative topology', function () {
+    it('should declare a topology definition for the tested consumers', function* () {
+      yield broker.assertTopology({
+        exchanges: { rides: 'topic' },
+        queues: { 'wallet-rides': {} },
+        bindings: [{ exchange: 'rides', queue: 'wallet-rides', routingKey: 'ride.*' }]
+      });
+
+      busClient.publish('rides', 'ride.created', { id: 1 });
+
+      expect(broker.messages('wallet-rides')).to.have.length(1);
+    });
+
+    it('should refuse a queue declared again with different arguments', function* () {
+      yield busClient.channel.assertQueue('users', { messageTtl: 10 });
+
+      const err = yield busClient.channel.assertQueue('users', { messageTtl: 20 }).catch(error => error);
+
+      expect(err.code).to.equal(406);
+      expect(err.message).to.match(/inequivalent arg 'x-message-ttl' for queue 'users'/);
+    });
+  });
+
+  describe('introspection', function () {
+    it('should list the published messages by exchange and routing key', function* () {
+      yield busClient.setupQueue('topic', 'users', 'user.*');
+
+      busClient.publish('topic', 'user.created', { id: 1 });
+      busClient.publish('topic', 'ride.created', { id: 2 });
+
+      expect(broker.published()).to.have.length(2);
+      expect(broker.published('topic', 'user.*').map(message => message.content)).to.eql([{ id: 1 }]);
+      expect(broker.published('other')).to.eql([]);
+      expect(broker.published('topic')[0].properties).to.have.property('messageId');
+    });
+
+    it('should reject waitForDrain when the queue is not drained in time', function* () {
+      yield busClient.setupQueue('topic', 'users', 'user.*');
+      busClient.publish('topic', 'user.created', { id: 1 });
+
+      const err = yield broker.waitForDrain('users', 20).catch(error => error);
+
+      expect(err.message).to.equal('The queue users was not drained within 20ms');
+    });
+
+    it('should forget the exchanges, queues and messages on reset', function* () {
+      yield busClient.setupQueue('topic', 'users', 'user.*');
+      busClient.publish('topic', 'user.created', { id: 1 });
+
+      broker.reset();
+
+      expect(broker.published()).to.eql([]);
+      expect(broker.queues.has('users')).to.be.false();
+    });
+  });
+
+  describe('connection loss', function () {
+    it('should let the client reconnect and restore its consumers', function* () {
+      const received = [];
+      yield busClient.listen('topic', 'users', 'user.*', function* handler(message) {
+        received.push(message);
+      });
+      const reconnected = new Promise(resolve => busClient.once('reconnected', resolve));
+
+      broker.disconnect();
+      yield reconnected;
+      busClient.publish('topic', 'user.created', { id: 1 });
+      yield broker.waitForDrain('users', 1000);
+
+      expect(received).to.eql([{ id: 1 }]);
+    });
+  });
+
+  describe('partitioned consumers', function () {
+    const partitions = 4;
+
+    it('should route the messages to the partition of their key', function* () {
+      yield busClient.setupPartitionedQueue('rides', 'wallet', 'ride.*', { partitions });
+
+      ['ride-1', 'ride-2', 'ride-3'].forEach(rideId => {
+        busClient.publish('rides', 'ride.finished', { rideId }, { partitionKey: rideId, partitions });
+      });
+
+      const messages = Array.from({ length: partitions }, (value, index) => broker.messages(partition.queueName('wallet', index))
+        .map(message => [index, message.routingKey, message.content.rideId]));
+      expect([].concat(...messages).sort()).to.eql(['ride-1', 'ride-2', 'ride-3']
+        .map(rideId => [partition.partitionOf(rideId, partitions), 'ride.finished', rideId]).sort());
+    });
+
+    it('should handle the messages of a key in order and the other keys concurrently', function* () {
+      const handled = [];
+      let running = 0;
+      let maxRunning = 0;
+      yield busClient.setupPartitionedQueue('rides', 'wallet', 'ride.*', { partitions: 1 });
+      yield busClient.consumePartitioned('wallet', function* handler(message) {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        yield sleep(message.step === 1 ? 20 : 1);
+        handled.push(`${message.rideId} ${message.step}`);
+        running--;
+      }, { partitions: 1, prefetch: 10 });
+
+      [['a', 1], ['a', 2], ['b', 1], ['b', 2], ['a', 3]].forEach(item => {
+        busClient.publish('rides', 'ride.updated', { rideId: item[0], step: item[1] },
+          { partitionKey: item[0], partitions: 1 });
+      });
+      yield broker.waitForDrain('wallet.partition.0', 1000);
+
+      expect(handled.filter(item => item[0] === 'a')).to.eql(['a 1', 'a 2', 'a 3']);
+      expect(handled.filter(item => item[0] === 'b')).to.eql(['b 1', 'b 2']);
+      expect(maxRunning).to.equal(2);
+    });
+
+    it('should deliver a partition to a single consumer at a time', function* () {
+      const received = [];
+      const otherClient = yield broker.createClient();
+      yield busClient.setupPartitionedQueue('rides', 'wallet', 'ride.*', { partitions });
+      yield busClient.consumePartitioned('wallet', function* first(message) {
+        received.push(['first', message.id]);
+      }, { partitions });
+      yield otherClient.consumePartitioned('wallet', function* second(message) {
+        received.push(['second', message.id]);
+      }, { partitions });
+
+      [1, 2, 3, 4].forEach(id => busClient.publish('rides', 'ride.finished', { id }, { partitionKey: 'ride-1', partitions }));
+      yield broker.waitForDrain(partition.queueName('wallet', partition.partitionOf('ride-1', partitions)), 1000);
+
+      expect(received).to.eql([['first', 1], ['first', 2], ['first', 3], ['first', 4]]);
+      yield otherClient.close();
+    });
+  });
+
+  describe('dead letters', function () {
+    /**
+     * Publish messages and reject them from the wallet queue to its dead letter queue.
+     *
+     * @param {Object[]} messages the routing keys and contents of the messages
+     * @returns {void}
+     */
+    function* deadLetter(messages) {
+      yield busClient.setupQueue('dead-letters', 'wallet.dead', '#');
+      yield busClient.setupQueue('rides', 'wallet', 'ride.*', { queueOptions: { deadLetterExchange: 'dead-letters' } });
+      messages.forEach(message => busClient.publish('rides', message[0], message[1]));
+      for (let index = 0; index < messages.length; index++) {
+        busClient.channel.nack(yield busClient.channel.get('wallet'), false, false);
+      }
+    }
+
+    it('should list the dead letters with their history, and leave them in the queue', function* () {
+      yield deadLetter([['ride.created', { rideId: 1 }], ['ride.finished', { rideId: 2 }]]);
+
+      const deadLetters = yield busClient.listDeadLetters('wallet.dead', { filter: { routingKey: 'ride.finished' } });
+
+      expect(deadLetters).to.have.length(1);
+      expect(deadLetters[0].content).to.eql({ rideId: 2 });
+      expect(deadLetters[0].origin).to.eql({ exchange: 'rides', routingKey: 'ride.finished', queue: 'wallet' });
+      expect(deadLetters[0].deaths).to.have.length(1);
+      expect(deadLetters[0].deaths[0]).to.include({ count: 1, reason: 'rejected', queue: 'wallet' });
+      expect(broker.messages('wallet.dead').map(message => message.content)).to.eql([{ rideId: 1 }, { rideId: 2 }]);
+    });
+
+    it('should replay the matching dead letters where they were first published', function* () {
+      yield deadLetter([['ride.created', { rideId: 1 }], ['ride.finished', { rideId: 2 }], ['ride.created', { rideId: 3 }]]);
+
+      const result = yield busClient.replayDeadLetters('wallet.dead', { filter: { routingKey: 'ride.created' } });
+
+      expect(result.replayed).to.equal(2);
+      expect(result.skipped).to.equal(1);
+      expect(result.messages.map(message => message.content)).to.eql([{ rideId: 1 }, { rideId: 3 }]);
+      const replayed = broker.messages('wallet');
+      expect(replayed.map(message => [message.routingKey, message.content])).to.eql([
+        ['ride.created', { rideId: 1 }], ['ride.created', { rideId: 3 }]
+      ]);
+      expect(replayed[0].properties.headers).not.to.have.any.keys('x-death', 'x-first-death-queue');
+      expect(broker.messages('wallet.dead').map(message => message.content)).to.eql([{ rideId: 2 }]);
+    });
+
+    it('should leave every dead letter in the queue on a dry run', function* () {
+      yield deadLetter([['ride.created', { rideId: 1 }], ['ride.finished', { rideId: 2 }]]);
+
+      const result = yield busClient.replayDeadLetters('wallet.dead', { dryRun: true, count: 1 });
+
+      expect(result.replayed).to.equal(1);
+      expect(result.messages.map(message => message.content)).to.eql([{ rideId: 1 }]);
+      expect(broker.messages('wallet')).to.have.length(0);
+      expect(broker.messages('wallet.dead')).to.have.length(2);
+    });
+
+    it('should hold at most the scan limit of messages', function* () {
+      yield deadLetter([['ride.created', { rideId: 1 }], ['ride.finished', { rideId: 2 }], ['ride.created', { rideId: 3 }]]);
+
+      const deadLetters = yield busClient.listDeadLetters('wallet.dead', { scanLimit: 2 });
+      const result = yield busClient.replayDeadLetters('wallet.dead', {
+        filter: { routingKey: 'ride.updated' },
+        scanLimit: 1
+      });
+
+      expect(deadLetters.map(message => message.content)).to.eql([{ rideId: 1 }, { rideId: 2 }]);
+      expect(result.skipped).to.equal(1);
+      expect(broker.messages('wallet.dead')).to.have.length(3);
+    });
+
+    it('should limit the rate of the replay', function* () {
+      yield deadLetter([['ride.created', { rideId: 1 }], ['ride.created', { rideId: 2 }], ['ride.created', { rideId: 3 }]]);
+
+      const start = Date.now();
+      const result = yield busClient.replayDeadLetters('wallet.dead', { rate: 50 });
+
+      expect(result.replayed).to.equal(3);
+      expect(Date.now() - start).to.be.at.least(35);
+      expect(broker.messages('wallet')).to.have.length(3);
+    });
+  });
+
+  describe('with a listener', function () {
+    it('should dispatch the messages to the listener handlers', function* () {
+      const listener = createListener('memory://', { client: busClient });
+      const received = [];
+      listener.addHandler('users', 'user.*', function* handler(message) {
+        received.push(message);
+      });
+      yield listener.listen('topic');
+
+      busClient.publish('topic', 'user.created', { id: 1 });
+      yield broker.waitForDrain('users', 1000);
+
+      expect(received).to.eql([{ id: 1 }]);
+    });
+  });
+});
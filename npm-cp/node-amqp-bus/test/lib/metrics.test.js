@@ -0,0 +1,83 @@
+'use strict';
+
+const { expect } = require('chai');
+
+const metrics = require('../../lib/metrics');
+
+describe('Metrics registry', function testMetrics() {
+  it('should render the counters in the text exposition format', function () {
+    const registry = metrics.createMetricsRegistry();
+
+    registry.increment('amqp_bus_messages_published_total', { exchange: 'rides', routing_key: 'ride.created' });
+    registry.increment('amqp_bus_messages_published_total', { exchange: 'rides', routing_key: 'ride.created' }, 2);
+    registry.increment('amqp_bus_messages_published_total', { exchange: 'rides', routing_key: 'ride.ended' });
+
+    expect(registry.metrics()).to.equal([
+      '# HELP amqp_bus_messages_published_total Messages published, by exchange and routing key.',
+      '# TYPE amqp_bus_messages_published_total counter',
+      'amqp_bus_messages_published_total{exchange="rides",routing_key="ride.created"} 3',
+      'amqp_bus_messages_published_total{exchange="rides",routing_key="ride.ended"} 1',
+      ''
+    ].join('\n'));
+  });
+
+  it('should render the gauges', function () {
+    const registry = metrics.createMetricsRegistry();
+
+    registry.set('amqp_bus_messages_in_flight', { queue: 'rides' }, 3);
+    registry.set('amqp_bus_messages_in_flight', { queue: 'rides' }, 2);
+
+    expect(registry.metrics()).to.contain('# TYPE amqp_bus_messages_in_flight gauge\n' +
+      'amqp_bus_messages_in_flight{queue="rides"} 2\n');
+  });
+
+  it('should render the histograms with cumulative buckets', function () {
+    const registry = metrics.createMetricsRegistry({ buckets: [1, 0.1] });
+
+    registry.observe('amqp_bus_handler_duration_seconds', { queue: 'rides' }, 0.05);
+    registry.observe('amqp_bus_handler_duration_seconds', { queue: 'rides' }, 0.5);
+    registry.observe('amqp_bus_handler_duration_seconds', { queue: 'rides' }, 3);
+
+    expect(registry.metrics()).to.contain([
+      '# TYPE amqp_bus_handler_duration_seconds histogram',
+      'amqp_bus_handler_duration_seconds_bucket{queue="rides",le="0.1"} 1',
+      'amqp_bus_handler_duration_seconds_bucket{queue="rides",le="1"} 2',
+      'amqp_bus_handler_duration_seconds_bucket{queue="rides",le="+Inf"} 3',
+      'amqp_bus_handler_duration_seconds_sum{queue="rides"} 3.55',
+      'amqp_bus_handler_duration_seconds_count{queue="rides"} 3',
+      ''
+    ].join('\n'));
+  });
+
+  it('should render the metrics without labels or help', function () {
+    const registry = metrics.createMetricsRegistry();
+
+    registry.increment('custom_total');
+
+    expect(registry.metrics()).to.equal('# TYPE custom_total counter\ncustom_total 1\n');
+  });
+
+  it('should escape the label values', function () {
+    const registry = metrics.createMetricsRegistry();
+
+    registry.increment('custom_total', { key: 'a "quoted"\\value\n' });
+
+    expect(registry.metrics()).to.contain('custom_total{key="a \\"quoted\\"\\\\value\\n"} 1');
+  });
+
+  it('should refuse to use a metric with another type', function () {
+    const registry = metrics.createMetricsRegistry();
+    registry.increment('custom_total');
+
+    expect(() => registry.set('custom_total', {}, 1)).to.throw('The metric custom_total is a counter, not a gauge');
+  });
+
+  it('should forget every metric on reset', function () {
+    const registry = metrics.createMetricsRegistry();
+    registry.increment('custom_total');
+
+    registry.reset();
+
+    expect(registry.metrics()).to.equal('');
+  });
+});
@@ -0,0 +1,73 @@
+'use strict';
+
+const { expect } = require('chai');
+
+const compose = require('../../lib/middleware').compose;
+
+describe('Middleware', function testMiddleware() {
+  it('should call the middleware around the innermost function', function* () {
+    const calls = [];
+    const pipeline = compose([
+      function* outer(ctx, next) {
+        calls.push('outer before');
+        yield next();
+        calls.push('outer after');
+      },
+      (ctx, next) => {
+        calls.push('inner before');
+        return next().then(() => calls.push('inner after'));
+      }
+    ]);
+
+    yield pipeline({}, () => calls.push('last'));
+
+    expect(calls).to.eql(['outer before', 'inner before', 'last', 'inner after', 'outer after']);
+  });
+
+  it('should stop when a middleware does not call next', function* () {
+    let called = false;
+    const pipeline = compose([() => null]);
+
+    yield pipeline({}, () => { called = true; });
+
+    expect(called).to.be.false();
+  });
+
+  it('should give the error of the innermost function to the middleware', function* () {
+    const pipeline = compose([
+      function* mapError(ctx, next) {
+        try {
+          yield next();
+        } catch (err) {
+          throw new Error(`mapped: ${err.message}`);
+        }
+      }
+    ]);
+
+    let err;
+    try {
+      yield pipeline({}, () => { throw new Error('failed'); });
+    } catch (error) {
+      err = error;
+    }
+
+    expect(err.message).to.equal('mapped: failed');
+  });
+
+  it('should reject when next is called twice', function* () {
+    const pipeline = compose([(ctx, next) => next().then(next)]);
+
+    let err;
+    try {
+      yield pipeline({}, () => null);
+    } catch (error) {
+      err = error;
+    }
+
+    expect(err.message).to.equal('next() called multiple times');
+  });
+
+  it('should refuse a middleware that is not a function', function () {
+    expect(() => compose([{}])).to.throw('A middleware must be a function');
+  });
+});
@@ -0,0 +1,275 @@
+'use strict';
+
+const { expect } = require('chai');
+require('should');
+const sinon = require('sinon');
+
+const createOutbox = require('../../lib/outbox').createOutbox;
+const createMemoryBroker = require('../../lib/memory').createMemoryBroker;
+
+/**
+ * A fake MongoDB collection, keeping its documents in an array. Queries only support equality and
+ * the `$gt`, `$lte` and `$nin` operators.
+ *
+ * @returns {Object} the collection
+ */
+function createFakeCollection() {
+  const documents = [];
+
+  /**
+   * @param {Object} document a document
+   * @param {Object} query a query
+   * @returns {Boolean} true if the document matches the query
+   */
+  function matches(document, query) {
+    return Object.keys(query).every(field => {
+      const condition = query[field];
+      const value = document[field];
+      if (!condition || typeof condition !== 'object' || condition instanceof Date) return value === condition;
+      if (condition.$gt) return value > condition.$gt;
+      if (condition.$lte) return value <= condition.$lte;
+      return condition.$nin.indexOf(value) === -1;
+    });
+  }
+
+  return {
+    documents,
+    createIndex: sinon.spy(() => Promise.resolve('index')),
+    insertOne: sinon.spy(document => {
+      documents.push(Object.assign({}, document));
+      return Promise.resolve({ insertedId: document._id });
+    }),
+    updateOne: sinon.spy((query, update) => {
+      const document = documents.find(item => matches(item, query));
+      Object.assign(document, update.$set);
+      return Promise.resolve({});
+    }),
+    distinct: sinon.spy((field, query) => {
+      const values = documents.filter(document => matches(document, query)).map(document => document[field]);
+      return Promise.resolve([...new Set(values)]);
+    }),
+    find: sinon.spy(query => {
+      let limit = Infinity;
+      let order = {};
+      const cursor = {
+        sort: value => {
+          order = value;
+          return cursor;
+        },
+        limit: value => {
+          limit = value;
+          return cursor;
+        },
+        toArray: () => Promise.resolve(documents
+          .filter(document => matches(document, query))
+          .sort((a, b) => Object.keys(order).reduce((result, field) => {
+            if (result) return result;
+            if (a[field] > b[field]) return order[field];
+            return a[field] < b[field] ? -order[field] : 0;
+          }, 0))
+          .slice(0, limit)
+          .map(document => Object.assign({}, document)))
+      };
+      return cursor;
+    })
+  };
+}
+
+describe('Outbox', function testOutbox() {
+  const sandbox = sinon.sandbox.create();
+  let collection;
+  let outbox;
+  let clock;
+
+  beforeEach(() => {
+    clock = sandbox.useFakeTimers(Date.now());
+    collection = createFakeCollection();
+    outbox = createOutbox({ db: Promise.resolve({ collection: () => collection }) });
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  /**
+   * Add an event, one millisecond after the previous one.
+   *
+   * @param {String} routingKey the routing key
+   * @param {Object} [opts] the options of `outbox.add`
+   * @returns {Promise} the id of the event
+   */
+  function addEvent(routingKey, opts) {
+    clock.tick(1);
+    return outbox.add('rides', routingKey, { key: routingKey }, opts);
+  }
+
+  /**
+   * @param {Function} [publish] the publish stub
+   * @returns {Object} a fake bus client in confirm mode
+   */
+  function createFakeClient(publish) {
+    return { publish: sandbox.spy(publish || (() => Promise.resolve())) };
+  }
+
+  describe('#add()', function () {
+    it('should need a db', function () {
+      expect(() => createOutbox({})).to.throw('The outbox needs a db');
+    });
+
+    it('should insert a pending event, in the session of the business write', function* () {
+      const session = {};
+
+      const id = yield outbox.add('rides', 'ride.created', { id: 1 }, {
+        session,
+        aggregateKey: 'ride-1',
+        publish: { headers: { country: 'FR' } }
+      });
+
+      expect(collection.insertOne.firstCall.args[1]).to.eql({ session });
+      collection.documents[0].should.containDeep({
+        _id: id,
+        exchange: 'rides',
+        routingKey: 'ride.created',
+        message: { id: 1 },
+        options: { messageId: id, headers: { country: 'FR' } },
+        aggregateKey: 'ride-1',
+        status: 'pending',
+        attempts: 0
+      });
+    });
+  });
+
+  describe('relay', function () {
+    it('should publish the pending events in order and mark them sent', function* () {
+      const client = createFakeClient();
+      const relay = outbox.createRelay(client);
+      const published = sandbox.spy();
+      relay.on('published', published);
+      const first = yield addEvent('ride.created');
+      yield addEvent('ride.ended');
+
+      const count = yield relay.relayOnce();
+
+      expect(count).to.equal(2);
+      expect(client.publish.firstCall.args.slice(0, 3)).to.eql(['rides', 'ride.created', { key: 'ride.created' }]);
+      expect(client.publish.firstCall.args[3].messageId).to.equal(first);
+      expect(client.publish.secondCall.args[1]).to.equal('ride.ended');
+      expect(collection.documents.map(document => document.status)).to.eql(['sent', 'sent']);
+      expect(published.calledTwice).to.be.true();
+      expect(yield relay.relayOnce()).to.equal(0);
+    });
+
+    it('should publish the events added in the same millisecond in order', function* () {
+      const client = createFakeClient();
+      const relay = outbox.createRelay(client);
+      const keys = Array.from({ length: 10 }, (value, index) => `ride.${index}`);
+      for (const key of keys) {
+        yield outbox.add('rides', key, { key }, { aggregateKey: 'ride-1' });
+      }
+
+      yield relay.relayOnce();
+
+      expect(client.publish.args.map(args => args[1])).to.eql(keys);
+    });
+
+    it('should try a failed event again after a backoff', function* () {
+      let fail = true;
+      const client = createFakeClient(() => (fail ? Promise.reject(new Error('nack')) : Promise.resolve()));
+      const relay = outbox.createRelay(client, { backoff: { initialDelay: 100 } });
+      const publishError = sandbox.spy();
+      relay.on('publish_error', publishError);
+      yield addEvent('ride.created');
+
+      yield relay.relayOnce();
+      fail = false;
+      yield relay.relayOnce();
+
+      expect(client.publish.calledOnce).to.be.true();
+      expect(publishError.firstCall.args[0].message).to.equal('nack');
+      collection.documents[0].should.containDeep({ status: 'pending', attempts: 1, lastError: 'nack' });
+
+      clock.tick(100);
+      yield relay.relayOnce();
+
+      expect(client.publish.calledTwice).to.be.true();
+      expect(collection.documents[0].status).to.equal('sent');
+    });
+
+    it('should keep the order of the events with the same aggregate key', function* () {
+      let fail = true;
+      const client = createFakeClient((exchange, key) => (
+        fail && key === 'ride.created' ? Promise.reject(new Error('nack')) : Promise.resolve()
+      ));
+      const relay = outbox.createRelay(client, { backoff: { initialDelay: 100 } });
+      relay.on('publish_error', () => null);
+      yield addEvent('ride.created', { aggregateKey: 'ride-1' });
+      yield addEvent('ride.ended', { aggregateKey: 'ride-1' });
+      yield addEvent('payment.created', { aggregateKey: 'payment-1' });
+
+      yield relay.relayOnce();
+      yield relay.relayOnce();
+
+      expect(client.publish.args.map(args => args[1])).to.eql(['ride.created', 'payment.created']);
+
+      fail = false;
+      clock.tick(100);
+      yield relay.relayOnce();
+
+      expect(client.publish.args.map(args => args[1])).to.eql(['ride.created', 'payment.created', 'ride.created',
+        'ride.ended']);
+    });
+
+    it('should refuse a client without confirms', function* () {
+      const relay = outbox.createRelay({ publish: () => true });
+      const publishError = sandbox.spy();
+      relay.on('publish_error', publishError);
+      yield addEvent('ride.created');
+
+      yield relay.relayOnce();
+
+      expect(publishError.firstCall.args[0].message)
+        .to.equal('The outbox relay needs a client created with the confirm option');
+    });
+
+    it('should poll until it is stopped', function* () {
+      const client = createFakeClient();
+      const relay = outbox.createRelay(client, { pollInterval: 1000 }).start();
+      yield addEvent('ride.created');
+      yield Promise.resolve();
+
+      clock.tick(1000);
+      yield new Promise(resolve => relay.once('published', resolve));
+      yield relay.stop();
+
+      expect(client.publish.calledOnce).to.be.true();
+    });
+
+    it('should emit the errors of the collection', function* () {
+      const relay = outbox.createRelay(createFakeClient()).start();
+      collection.distinct = () => Promise.reject(new Error('not master'));
+
+      const err = yield new Promise(resolve => relay.once('relay_error', resolve));
+      yield relay.stop();
+
+      expect(err.message).to.equal('not master');
+    });
+  });
+
+  describe('with a broker', function () {
+    it('should publish the events with their id as message id', function* () {
+      clock.restore();
+      const broker = createMemoryBroker();
+      const client = yield broker.createClient({ confirm: true });
+      yield client.setupQueue('rides', 'wallet-rides', 'ride.*');
+      const relay = outbox.createRelay(client);
+
+      const id = yield outbox.add('rides', 'ride.created', { id: 1 });
+      yield relay.relayOnce();
+
+      const messages = broker.messages('wallet-rides');
+      expect(messages.map(message => message.content)).to.eql([{ id: 1 }]);
+      expect(messages[0].properties.messageId).to.equal(id);
+      yield client.close();
+    });
+  });
+});
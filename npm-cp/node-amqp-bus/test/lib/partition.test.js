@@ -0,0 +1,67 @@
+'use strict';
+
+const { expect } = require('chai');
+
+const partition = require('../../lib/partition');
+
+describe('Partition', function testPartition() {
+  const keys = Array.from({ length: 1000 }, (value, index) => `ride-${index}`);
+
+  describe('#partitionOf()', function () {
+    it('should always give the same partition to a key', function () {
+      expect(partition.partitionOf('ride-42', 8)).to.equal(partition.partitionOf('ride-42', 8));
+    });
+
+    it('should spread the keys over every partition', function () {
+      const counts = [0, 0, 0, 0];
+      keys.forEach(key => counts[partition.partitionOf(key, 4)]++);
+
+      counts.forEach(count => expect(count).to.be.within(150, 350));
+    });
+
+    it('should only move a share of the keys when a partition is added', function () {
+      const moved = keys.filter(key => partition.partitionOf(key, 8) !== partition.partitionOf(key, 9));
+
+      // the keys of the new partition, about one in nine
+      expect(moved.length).to.be.below(200);
+      moved.forEach(key => expect(partition.partitionOf(key, 9)).to.equal(8));
+    });
+
+    it('should refuse a number of partitions that is not a positive integer', function () {
+      expect(() => partition.partitionOf('ride-42', 0)).to.throw('positive integer');
+      expect(() => partition.partitionOf('ride-42', 1.5)).to.throw('positive integer');
+      expect(() => partition.partitionOf('ride-42')).to.throw('positive integer');
+    });
+  });
+
+  describe('#publishOptions()', function () {
+    it('should replace the partition options by the partition headers', function () {
+      const opts = partition.publishOptions({ partitionKey: 42, partitions: 4, headers: { custom: 'value' } });
+
+      expect(opts).to.eql({
+        headers: {
+          custom: 'value',
+          partition: String(partition.partitionOf('42', 4)),
+          'partition-key': '42'
+        }
+      });
+      expect(partition.getKey(opts)).to.equal('42');
+    });
+
+    it('should leave the options of a message without partition key', function () {
+      const opts = { headers: {} };
+
+      expect(partition.publishOptions(opts)).to.equal(opts);
+      expect(partition.publishOptions(undefined)).to.be.undefined();
+    });
+  });
+
+  describe('#queueOptions()', function () {
+    it('should give the partitions a single active consumer', function () {
+      expect(partition.queueOptions({ durable: true, arguments: { 'x-max-length': 10 } })).to.eql({
+        durable: true,
+        arguments: { 'x-max-length': 10, 'x-single-active-consumer': true }
+      });
+    });
+  });
+});
@@ -0,0 +1,204 @@
+'use strict';
+
+require('co-mocha')(require('mocha'));
+const { expect } = require('chai');
+const sinon = require('sinon');
+
+const createBusClient = require('../../lib/client');
+const stubAmqplib = require('../amqplib.helper').stubAmqplib;
+
+describe('Node AMQP Bus RPC', function testRpc() {
+  const sandbox = sinon.sandbox.create();
+  let broker;
+  let busClient;
+  let channel;
+
+  beforeEach(function* beforeEach() {
+    broker = stubAmqplib(sandbox);
+    busClient = yield createBusClient('amqp://localhost');
+    channel = broker.connections[0].channels[0];
+  });
+
+  afterEach(function* afterEach() {
+    yield busClient.close();
+    sandbox.restore();
+  });
+
+  /**
+   * Deliver the last request published on the channel to the server queue.
+   *
+   * @param {String} queue the server queue
+   * @returns {Promise} resolved once the request is handled
+   */
+  function deliverRequest(queue) {
+    const args = channel.publish.lastCall.args;
+    return channel.deliver(queue, args[2], { exchange: args[0], routingKey: args[1] }, args[3]);
+  }
+
+  /**
+   * Deliver the last reply published on the channel to the reply consumer.
+   *
+   * @returns {Promise} resolved once the reply is handled
+   */
+  function deliverReply() {
+    const args = channel.publish.lastCall.args;
+    expect(args[0]).to.equal('');
+    return channel.deliver('amq.rabbitmq.reply-to', args[2], { routingKey: args[1] }, args[3]);
+  }
+
+  describe('#request()', function () {
+    it('should publish the request with a correlation id and a reply queue', function* () {
+      busClient.request('rpc', 'ride.get', { id: 1 }, { timeout: 1000 }).catch(() => null);
+      yield Promise.resolve();
+
+      expect(channel.consume.calledWith('amq.rabbitmq.reply-to')).to.be.true();
+      expect(channel.consume.firstCall.args[2]).to.eql({ noAck: true });
+      const args = channel.publish.firstCall.args;
+      expect(args.slice(0, 2)).to.eql(['rpc', 'ride.get']);
+      expect(JSON.parse(args[2])).to.eql({ id: 1 });
+      expect(args[3]).to.have.property('correlationId').that.is.a('string');
+      expect(args[3]).to.have.property('replyTo', 'amq.rabbitmq.reply-to');
+      expect(args[3]).to.have.property('expiration', '1000');
+    });
+
+    it('should start the reply consumer once', function* () {
+      busClient.request('rpc', 'ride.get', {}).catch(() => null);
+      busClient.request('rpc', 'ride.get', {}).catch(() => null);
+      yield Promise.resolve();
+
+      expect(channel.consume.callCount).to.equal(1);
+    });
+
+    it('should reject the request after the timeout', function* () {
+      let error;
+      try {
+        yield busClient.request('rpc', 'ride.get', {}, { timeout: 10 });
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).to.have.property('message', 'The request ride.get timed out after 10ms');
+    });
+
+    it('should reject the request when it is cancelled', function* () {
+      const request = busClient.request('rpc', 'ride.get', {});
+      request.cancel();
+
+      let error;
+      try {
+        yield request;
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).to.have.property('message', 'The request ride.get was cancelled');
+    });
+
+    it('should ignore the replies of unknown requests', function* () {
+      busClient.request('rpc', 'ride.get', {}).catch(() => null);
+      yield Promise.resolve();
+
+      yield channel.deliver('amq.rabbitmq.reply-to', { result: 1 }, {}, { correlationId: 'unknown' });
+    });
+
+    it('should reject the request when the reply is not an object', function* () {
+      const requests = ['null', '42'].map(content => {
+        const request = busClient.request('rpc', 'ride.get', {}).catch(err => err);
+        return { request, content };
+      });
+      yield Promise.resolve();
+
+      for (const item of requests) {
+        const correlationId = channel.publish.args[requests.indexOf(item)][3].correlationId;
+        yield channel.deliver('amq.rabbitmq.reply-to', new Buffer(item.content), {}, { correlationId });
+        const error = yield item.request;
+        expect(error).to.have.property('message', 'The reply is malformed: it is not an object');
+      }
+    });
+
+    it('should reject the pending requests when the connection is lost', function* () {
+      const request = busClient.request('rpc', 'ride.get', {});
+      broker.connections[0].kill();
+
+      let error;
+      try {
+        yield request;
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).to.have.property('message', 'The connection was lost before the reply was received');
+    });
+  });
+
+  describe('#serve()', function () {
+    it('should bind every procedure on the queue', function* () {
+      yield busClient.serve('rpc', 'rides', {
+        'ride.get': function* getRide() {},
+        'ride.list': function* listRides() {}
+      });
+
+      expect(channel.bindQueue.args).to.eql([['rides', 'rpc', 'ride.get'], ['rides', 'rpc', 'ride.list']]);
+      expect(channel.consume.calledWith('rides')).to.be.true();
+    });
+
+    it('should send the procedure result back to the caller', function* () {
+      yield busClient.serve('rpc', 'rides', {
+        'ride.get': function* getRide(payload) {
+          return { id: payload.id, status: 'finished' };
+        }
+      });
+
+      const request = busClient.request('rpc', 'ride.get', { id: 1 });
+      yield Promise.resolve();
+      yield deliverRequest('rides');
+      yield deliverReply();
+
+      expect(yield request).to.eql({ id: 1, status: 'finished' });
+      expect(channel.ack.callCount).to.equal(1);
+    });
+
+    it('should send the procedure error back to the caller', function* () {
+      yield busClient.serve('rpc', 'rides', {
+        'ride.get': function* getRide() {
+          const err = new Error('Ride not found');
+          err.code = 'NOT_FOUND';
+          throw err;
+        }
+      });
+
+      const request = busClient.request('rpc', 'ride.get', { id: 1 });
+      yield Promise.resolve();
+      yield deliverRequest('rides');
+      yield deliverReply();
+
+      let error;
+      try {
+        yield request;
+      } catch (err) {
+        error = err;
+      }
+      expect(error).to.have.property('message', 'Ride not found');
+      expect(error).to.have.property('code', 'NOT_FOUND');
+      expect(error.remote).to.eql({ name: 'Error', message: 'Ride not found', code: 'NOT_FOUND' });
+      expect(channel.ack.callCount).to.equal(1);
+    });
+
+    it('should answer an error to unknown procedures', function* () {
+      yield busClient.serve('rpc', 'rides', { 'ride.get': function* getRide() {} });
+
+      const request = busClient.request('rpc', 'ride.delete', {});
+      yield Promise.resolve();
+      yield deliverRequest('rides');
+      yield deliverReply();
+
+      let error;
+      try {
+        yield request;
+      } catch (err) {
+        error = err;
+      }
+      expect(error).to.have.property('message', 'Unknown procedure ride.delete');
+    });
+  });
+});
@@ -0,0 +1,89 @@
+'use strict';
+
+require('co-mocha')(require('mocha'));
+const EventEmitter = require('events');
+const { expect } = require('chai');
+const sinon = require('sinon');
+
+const shutdownOnSignals = require('../../lib/shutdown').shutdownOnSignals;
+
+describe('Graceful shutdown on signals', function testShutdown() {
+  const sandbox = sinon.sandbox.create();
+  let target;
+  let removeHandlers;
+
+  beforeEach(() => {
+    target = new EventEmitter();
+    target.shutdown = sandbox.stub().returns(Promise.resolve(true));
+    sandbox.stub(process, 'exit');
+  });
+
+  afterEach(() => {
+    removeHandlers();
+    sandbox.restore();
+  });
+
+  /**
+   * @returns {Promise} resolved with the arguments of the next shutdown event of the target
+   */
+  function waitForShutdown() {
+    return new Promise(resolve => target.once('shutdown', (...args) => resolve(args)));
+  }
+
+  it('should shut the target down, then exit, on SIGTERM', function* () {
+    removeHandlers = shutdownOnSignals(target, { timeout: 1000 });
+    const shutdown = waitForShutdown();
+
+    process.emit('SIGTERM', 'SIGTERM');
+    const args = yield shutdown;
+
+    expect(args).to.eql(['SIGTERM', null]);
+    expect(target.shutdown.calledOnce).to.be.true();
+    expect(target.shutdown.firstCall.args[0]).to.have.property('timeout', 1000);
+    expect(process.exit.calledWith(0)).to.be.true();
+  });
+
+  it('should shut the target down once', function* () {
+    // mocha aborts the run on SIGINT
+    removeHandlers = shutdownOnSignals(target, { signals: ['SIGTERM', 'SIGHUP'] });
+    const shutdown = waitForShutdown();
+
+    process.emit('SIGHUP', 'SIGHUP');
+    process.emit('SIGTERM', 'SIGTERM');
+    yield shutdown;
+
+    expect(target.shutdown.calledOnce).to.be.true();
+  });
+
+  it('should exit with an error code when the shutdown fails', function* () {
+    const err = new Error('Shutdown failed');
+    target.shutdown.returns(Promise.reject(err));
+    removeHandlers = shutdownOnSignals(target, { signals: ['SIGUSR2'] });
+    const shutdown = waitForShutdown();
+
+    process.emit('SIGUSR2', 'SIGUSR2');
+    const args = yield shutdown;
+
+    expect(args).to.eql(['SIGUSR2', err]);
+    expect(process.exit.calledWith(1)).to.be.true();
+  });
+
+  it('should not exit when exit is false', function* () {
+    removeHandlers = shutdownOnSignals(target, { exit: false });
+    const shutdown = waitForShutdown();
+
+    process.emit('SIGTERM', 'SIGTERM');
+    yield shutdown;
+
+    expect(process.exit.called).to.be.false();
+  });
+
+  it('should remove its signal handlers', function () {
+    const listeners = process.listenerCount('SIGTERM');
+    removeHandlers = shutdownOnSignals(target);
+    expect(process.listenerCount('SIGTERM')).to.equal(listeners + 1);
+
+    removeHandlers();
+    expect(process.listenerCount('SIGTERM')).to.equal(listeners);
+  });
+});
@@ -0,0 +1,53 @@
+'use strict';
+
+const { expect } = require('chai');
+
+const topic = require('../../lib/topic');
+
+describe('Topic matching', function testTopic() {
+  describe('#match()', function () {
+    it('should match an exact routing key', function () {
+      expect(topic.match('ride.created', 'ride.created')).to.be.true();
+      expect(topic.match('ride.created', 'ride.finished')).to.be.false();
+    });
+
+    it('should match exactly one word with *', function () {
+      expect(topic.match('ride.*.finished', 'ride.pool.finished')).to.be.true();
+      expect(topic.match('ride.*.finished', 'ride.finished')).to.be.false();
+      expect(topic.match('ride.*.finished', 'ride.pool.shared.finished')).to.be.false();
+    });
+
+    it('should match zero or more words with #', function () {
+      expect(topic.match('ride.#', 'ride')).to.be.true();
+      expect(topic.match('ride.#', 'ride.created')).to.be.true();
+      expect(topic.match('ride.#', 'ride.pool.finished')).to.be.true();
+      expect(topic.match('#.finished', 'ride.pool.finished')).to.be.true();
+      expect(topic.match('ride.#.finished', 'ride.finished')).to.be.true();
+      expect(topic.match('#', 'anything.at.all')).to.be.true();
+      expect(topic.match('ride.#', 'payment.created')).to.be.false();
+    });
+  });
+
+  describe('#findBestMatch()', function () {
+    it('should prefer the exact routing key', function () {
+      const patterns = ['ride.#', 'ride.created', 'ride.*'];
+      expect(topic.findBestMatch(patterns, 'ride.created')).to.equal('ride.created');
+    });
+
+    it('should prefer the most specific pattern', function () {
+      const patterns = ['#', 'ride.#', 'ride.*.*', 'ride.*.finished', 'ride.pool.#'];
+      expect(topic.findBestMatch(patterns, 'ride.pool.finished')).to.equal('ride.*.finished');
+      expect(topic.findBestMatch(patterns, 'ride.pool')).to.equal('ride.pool.#');
+      expect(topic.findBestMatch(patterns, 'payment.created')).to.equal('#');
+    });
+
+    it('should not depend on the registration order', function () {
+      expect(topic.findBestMatch(['*.created', 'ride.*'], 'ride.created')).to.equal('*.created');
+      expect(topic.findBestMatch(['ride.*', '*.created'], 'ride.created')).to.equal('*.created');
+    });
+
+    it('should return undefined when nothing matches', function () {
+      expect(topic.findBestMatch(['ride.*', 'ride.finished'], 'payment.created')).to.be.undefined();
+    });
+  });
+});
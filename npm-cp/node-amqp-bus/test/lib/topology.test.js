@@ -0,0 +1,144 @@
+'use strict';
+
+const { expect } = require('chai');
+
+const declarative = require('../../lib/topology');
+const { createMemoryBroker } = require('../../lib/memory');
+
+const DEFINITION = {
+  exchanges: {
+    rides: { type: 'topic', durable: true },
+    audit: 'fanout'
+  },
+  queues: {
+    'wallet-rides': { messageTtl: 60000, deadLetterExchange: 'audit' },
+    'audit-log': {}
+  },
+  bindings: [
+    { exchange: 'rides', queue: 'wallet-rides', routingKey: 'ride.*' },
+    { exchange: 'rides', destination: 'audit', routingKey: '#' },
+    { exchange: 'audit', queue: 'audit-log' }
+  ]
+};
+
+describe('Declarative topology', function testTopology() {
+  describe('#normalize()', function () {
+    it('should normalize the exchanges, queues and bindings', function () {
+      const topology = declarative.normalize(DEFINITION);
+
+      expect(topology.exchanges).to.eql([
+        { name: 'rides', type: 'topic', options: { durable: true } },
+        { name: 'audit', type: 'fanout', options: {} }
+      ]);
+      expect(topology.queues).to.eql([
+        { name: 'wallet-rides', options: { messageTtl: 60000, deadLetterExchange: 'audit' } },
+        { name: 'audit-log', options: {} }
+      ]);
+      expect(topology.bindings).to.eql([
+        { exchange: 'rides', queue: 'wallet-rides', destination: undefined, routingKey: 'ride.*' },
+        { exchange: 'rides', queue: undefined, destination: 'audit', routingKey: '#' },
+        { exchange: 'audit', queue: 'audit-log', destination: undefined, routingKey: '' }
+      ]);
+    });
+
+    it('should default to topic exchanges', function () {
+      const topology = declarative.normalize({ exchanges: { rides: {} } });
+
+      expect(topology.exchanges[0].type).to.equal('topic');
+    });
+
+    it('should accept an empty definition', function () {
+      expect(declarative.normalize()).to.eql({ exchanges: [], queues: [], bindings: [] });
+    });
+
+    it('should refuse a binding without a queue or a destination', function () {
+      expect(() => declarative.normalize({ bindings: [{ exchange: 'rides' }] }))
+        .to.throw('Invalid binding {"exchange":"rides"}: it needs an exchange, and a queue or a destination exchange');
+    });
+
+    it('should refuse a binding with both a queue and a destination', function () {
+      expect(() => declarative.normalize({ bindings: [{ exchange: 'rides', queue: 'a', destination: 'b' }] }))
+        .to.throw(/^Invalid binding/);
+    });
+  });
+
+  describe('#assert() and #diff()', function () {
+    let broker;
+    let connection;
+
+    beforeEach(function* beforeEach() {
+      broker = createMemoryBroker();
+      connection = yield broker.connect();
+    });
+
+    afterEach(function* afterEach() {
+      yield connection.close();
+    });
+
+    it('should declare the whole topology', function* () {
+      const channel = yield connection.createChannel();
+
+      yield declarative.assert(channel, declarative.normalize(DEFINITION));
+
+      expect(broker.exchanges.get('audit').type).to.equal('fanout');
+      expect(broker.queues.get('wallet-rides').arguments).to.eql({
+        'x-message-ttl': 60000,
+        'x-dead-letter-exchange': 'audit'
+      });
+      channel.publish('rides', 'ride.created', new Buffer('{}'));
+      expect(broker.messages('wallet-rides')).to.have.length(1);
+      expect(broker.messages('audit-log')).to.have.length(1);
+    });
+
+    it('should declare the topology idempotently', function* () {
+      const channel = yield connection.createChannel();
+      const topology = declarative.normalize(DEFINITION);
+
+      yield declarative.assert(channel, topology);
+      yield declarative.assert(channel, topology);
+
+      channel.publish('rides', 'ride.created', new Buffer('{}'));
+      expect(broker.messages('wallet-rides')).to.have.length(1);
+    });
+
+    it('should report every missing part of the topology', function* () {
+      const differences = yield declarative.diff(connection, declarative.normalize(DEFINITION));
+
+      expect(differences).to.eql([
+        { type: 'exchange', name: 'rides', difference: 'missing' },
+        { type: 'exchange', name: 'audit', difference: 'missing' },
+        { type: 'queue', name: 'wallet-rides', difference: 'missing' },
+        { type: 'queue', name: 'audit-log', difference: 'missing' },
+        { type: 'binding', name: 'rides -> wallet-rides (ride.*)', difference: 'missing' },
+        { type: 'binding', name: 'rides -> exchange audit (#)', difference: 'missing' },
+        { type: 'binding', name: 'audit -> audit-log ()', difference: 'missing' }
+      ]);
+      expect(broker.exchanges.has('rides')).to.be.false();
+      expect(broker.queues.has('wallet-rides')).to.be.false();
+    });
+
+    it('should report the differences with the declared topology', function* () {
+      yield broker.assertTopology({
+        exchanges: { rides: 'direct', audit: 'fanout' },
+        queues: { 'wallet-rides': { messageTtl: 30000, deadLetterExchange: 'audit' }, 'audit-log': {} }
+      });
+
+      const differences = yield declarative.diff(connection, declarative.normalize(DEFINITION));
+
+      expect(differences).to.have.length(2);
+      expect(differences[0]).to.include({ type: 'exchange', name: 'rides', difference: 'different' });
+      expect(differences[0].message).to.match(/inequivalent arg 'type'/);
+      expect(differences[1]).to.include({ type: 'queue', name: 'wallet-rides', difference: 'different' });
+      expect(differences[1].message).to.match(/inequivalent arg 'x-message-ttl'/);
+      expect(broker.exchanges.get('rides').type).to.equal('direct');
+    });
+
+    it('should report no difference once the topology is declared', function* () {
+      yield broker.assertTopology(DEFINITION);
+
+      const differences = yield declarative.diff(connection, declarative.normalize(DEFINITION));
+
+      expect(differences).to.eql([]);
+    });
+  });
+});